@@ -0,0 +1,138 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Knowledge about attribute values beyond what the schema's types say:
+ * how colors are written and output, common file types, and what makes a
+ * URI malformed.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    // Colors offered for color values, in the order they are listed
+    var PALETTE = [
+        "#000000", "#FFFFFF", "#808080", "#C0C0C0", "#FF0000", "#FF8000", "#FFFF00",
+        "#00FF00", "#008000", "#00FFFF", "#0000FF", "#000080", "#FF00FF", "#800080"
+    ];
+
+    // Extensions offered for file fileTypes
+    var FILE_TYPES = [
+        "css", "csv", "gif", "htm", "html", "jpeg", "jpg", "js", "json", "mov", "mp3", "mp4",
+        "ogg", "otf", "pdf", "png", "svg", "swf", "ttf", "txt", "wav", "webm", "webp", "woff", "xml", "zip"
+    ];
+
+    // Regex for the #RRGGBB and #RGB colors color values are written as
+    var regexHexColor = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i;
+
+    /**
+     * Reads a hex color
+     * @param {?string} value
+     * @return {?{r: number, g: number, b: number, hex: string}} hex has the six
+     *      digits as written, without the '#'
+     */
+    function parseHexColor(value) {
+        var match = regexHexColor.exec(value || ""),
+            hex;
+
+        if (!match) {
+            return null;
+        }
+        hex = match[1].length === 3 ? match[1].replace(/(.)/g, "$1$1") : match[1];
+        return {
+            r: parseInt(hex.substr(0, 2), 16),
+            g: parseInt(hex.substr(2, 2), 16),
+            b: parseInt(hex.substr(4, 2), 16),
+            hex: hex
+        };
+    }
+
+    /**
+     * Writes a color as #RRGGBB
+     * @param {!{r: number, g: number, b: number}} rgb
+     * @return {string}
+     */
+    function hexColor(rgb) {
+        return "#" + [rgb.r, rgb.g, rgb.b].map(function (part) {
+            return (part < 16 ? "0" : "") + part.toString(16).toUpperCase();
+        }).join("");
+    }
+
+    /**
+     * Formats a color value the way a color parameter outputs it
+     * @param {!XMLNode} node - the <color> element
+     * @param {?string} value
+     * @return {string}
+     */
+    function outputColor(node, value) {
+        var rgb = parseHexColor(value);
+
+        if (!value) {
+            return node.getAttributeValue("transparentOption") || "";
+        }
+        if (rgb && node.getAttributeValue("rgbColor") === "true") {
+            return "rgb(" + [rgb.r, rgb.g, rgb.b].join(", ") + ")";
+        }
+        if (rgb && node.getAttributeValue("formatHexColor") === "true") {
+            return "#" + rgb.hex;
+        }
+        return value;
+    }
+
+    /**
+     * Checks that a value is a well-formed URI reference
+     * @param {string} value
+     * @return {?string} what is wrong with it, null if nothing
+     */
+    function uriProblem(value) {
+        var invalid = /[<>"{}|\\\^`]/.exec(value),
+            scheme = /^([^\/?#]*):/.exec(value);
+
+        if (/\s/.test(value)) {
+            return "contains whitespace, which must be written as %20";
+        }
+        if (invalid) {
+            return "contains '" + invalid[0] + "', which must be percent-encoded";
+        }
+        if (/%(?![0-9a-f]{2})/i.test(value)) {
+            return "contains a '%' that is not followed by two hex digits";
+        }
+        if (scheme && !/^[a-z][a-z0-9+.\-]*$/i.test(scheme[1])) {
+            return "has an invalid scheme '" + scheme[1] + "'";
+        }
+        if (scheme && /^(https?|ftp)$/i.test(scheme[1]) && !/^[^:]+:\/\/[^\/?#]+/.test(value)) {
+            return "has no host after '" + scheme[1] + "://'";
+        }
+        return null;
+    }
+
+    exports.PALETTE         = PALETTE;
+    exports.FILE_TYPES      = FILE_TYPES;
+    exports.parseHexColor   = parseHexColor;
+    exports.hexColor        = hexColor;
+    exports.outputColor     = outputColor;
+    exports.uriProblem      = uriProblem;
+});
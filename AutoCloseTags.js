@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets */
+
+/**
+ * Completes start tags typed in MuCow editors: the ">" of an element that
+ * has content gets the end tag after the cursor, and that of an element
+ * that is always empty (<separator>, <text>, <number>...) becomes "/>".
+ * Turned off with the "mucow.closeTags" preference.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var EditorManager       = brackets.getModule("editor/EditorManager"),
+        PreferencesManager  = brackets.getModule("preferences/PreferencesManager");
+
+    var EndTags             = require("EndTags");
+
+    var prefs = PreferencesManager.getExtensionPrefs("mucow");
+
+    var _getSchema = null;
+
+    /**
+     * @private
+     * Handles text typed in a MuCow editor
+     * @param {!CodeMirror} cm
+     * @param {{text: Array.<string>}} change
+     */
+    function _onInputRead(cm, change) {
+        if (!prefs.get("closeTags") || change.text.length !== 1 || change.text[0] !== ">" || cm.somethingSelected()) {
+            return;
+        }
+
+        var cursor = cm.getCursor(),
+            result = EndTags.afterStartTag(cm.getValue(), cm.indexFromPos(cursor), _getSchema());
+
+        if (!result) {
+            return;
+        }
+
+        if (result.selfClose) {
+            cm.replaceRange("/>", { line: cursor.line, ch: cursor.ch - 1 }, cursor, "+input");
+        } else {
+            cm.replaceRange("</" + result.name + ">", cursor, cursor, "+input");
+            cm.setCursor(cursor);
+        }
+    }
+
+    /**
+     * @private
+     * Watches what is typed in an editor if it holds a MuCow document
+     * @param {?Editor} editor
+     */
+    function _attach(editor) {
+        if (!editor || editor.document.getLanguage().getId() !== "mucow") {
+            return;
+        }
+        editor._codeMirror.off("inputRead", _onInputRead);
+        editor._codeMirror.on("inputRead", _onInputRead);
+    }
+
+    /**
+     * Starts completing start tags in MuCow editors
+     * @param {!function(): Object} getSchema - returns the current result of
+     *      SchemaModel.parse(), which changes with the project extensions
+     */
+    function init(getSchema) {
+        _getSchema = getSchema;
+        prefs.definePreference("closeTags", "boolean", true);
+
+        EditorManager.on("activeEditorChange", function (event, current) {
+            _attach(current);
+        });
+        _attach(EditorManager.getActiveEditor());
+    }
+
+    exports.init    = init;
+});
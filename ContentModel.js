@@ -0,0 +1,220 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Decides which elements may be inserted at a point in the document, given
+ * the parent's content model from the schema and the siblings already there.
+ *
+ * The document is usually incomplete while it is being edited, so minOccurs
+ * is not enforced: an element is allowed if the children could still be
+ * completed into valid content. An explicit maxOccurs on an element is
+ * treated as a cap on its total number of occurrences in the parent, which
+ * is how MuCow uses it (e.g. a single <parameters>), even inside repeated
+ * choices.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var _positions;
+
+    /**
+     * @private
+     * Matches a single occurrence of a particle starting at `pos`
+     * @return {Array.<number>} positions where the match can end
+     */
+    function _once(particle, names, pos) {
+        var ends = [pos];
+
+        if (particle.kind === "element") {
+            return names[pos] === particle.name ? [pos + 1] : [];
+        }
+
+        if (particle.kind === "sequence") {
+            particle.children.forEach(function (child) {
+                var next = [];
+                ends.forEach(function (end) {
+                    _positions(child, names, end).forEach(function (p) {
+                        if (next.indexOf(p) === -1) {
+                            next.push(p);
+                        }
+                    });
+                });
+                ends = next;
+            });
+            return ends;
+        }
+
+        if (particle.kind === "choice") {
+            particle.children.forEach(function (child) {
+                _positions(child, names, pos).forEach(function (p) {
+                    if (ends.indexOf(p) === -1) {
+                        ends.push(p);
+                    }
+                });
+            });
+            return ends;
+        }
+
+        if (particle.kind === "all") {
+            // Elements of an xs:all group may come in any order
+            var counts = {},
+                p = pos,
+                found = true;
+
+            while (p < names.length && found) {
+                found = particle.children.some(function (child) {
+                    if (child.name === names[p] && (counts[child.name] || 0) < child.max) {
+                        counts[child.name] = (counts[child.name] || 0) + 1;
+                        return true;
+                    }
+                    return false;
+                });
+                if (found) {
+                    ends.push(++p);
+                }
+            }
+            return ends;
+        }
+
+        return ends;
+    }
+
+    /**
+     * @private
+     * Matches a particle, repeated up to its maxOccurs, starting at `pos`
+     * @return {Array.<number>} positions where the match can end
+     */
+    _positions = function (particle, names, pos) {
+        var ends = [pos],
+            frontier = [pos],
+            repeat;
+
+        for (repeat = 0; repeat < particle.max && frontier.length; repeat++) {
+            var next = [];
+            frontier.forEach(function (start) {
+                _once(particle, names, start).forEach(function (end) {
+                    if (ends.indexOf(end) === -1) {
+                        ends.push(end);
+                        next.push(end);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        return ends;
+    };
+
+    /**
+     * Checks whether a list of child element names fits a content model,
+     * ignoring elements that are still missing
+     *
+     * @param {?Object} model - content model particle from SchemaModel.parse()
+     * @param {!Array.<string>} names - child element names in document order
+     * @return {boolean}
+     */
+    function fits(model, names) {
+        if (!model) {
+            return names.length === 0;
+        }
+        return _positions(model, names, 0).indexOf(names.length) !== -1;
+    }
+
+    /**
+     * Returns the element particles of a content model, keyed by name
+     * @param {?Object} model
+     * @return {Object.<string, Object>}
+     */
+    function elementParticles(model) {
+        var result = {};
+
+        function visit(particle) {
+            if (particle.kind === "element") {
+                if (!result[particle.name]) {
+                    result[particle.name] = particle;
+                }
+            } else {
+                particle.children.forEach(visit);
+            }
+        }
+
+        if (model) {
+            visit(model);
+        }
+        return result;
+    }
+
+    /**
+     * Splits the elements that may appear in a parent into those that can
+     * legally be inserted between `before` and `after` and those that can't.
+     *
+     * @param {!{elements: Object, rootElements: Array.<string>}} schema - result of SchemaModel.parse()
+     * @param {?string} parentName - parent element, or null at the top level
+     * @param {!Array.<string>} before - names of the siblings before the insertion point
+     * @param {!Array.<string>} after - names of the siblings after the insertion point
+     * @return {{allowed: Array.<string>, disallowed: Array.<string>}}
+     */
+    function insertable(schema, parentName, before, after) {
+        var result = { allowed: [], disallowed: [] },
+            decl = parentName ? schema.elements[parentName] : null,
+            siblings = before.concat(after);
+
+        if (!parentName) {
+            schema.rootElements.forEach(function (name) {
+                result[siblings.length ? "disallowed" : "allowed"].push(name);
+            });
+            return result;
+        }
+
+        if (!decl) {
+            return result;
+        }
+
+        var particles = elementParticles(decl.model);
+
+        // Siblings the model doesn't know are reported by validation; they
+        // shouldn't make every suggestion look invalid
+        function known(name) {
+            return particles.hasOwnProperty(name);
+        }
+        before = before.filter(known);
+        after = after.filter(known);
+
+        Object.keys(particles).forEach(function (name) {
+            var count = siblings.filter(function (sibling) {
+                    return sibling === name;
+                }).length,
+                cap = particles[name].explicitMax ? particles[name].max : Infinity,
+                ok = count < cap && fits(decl.model, before.concat([name], after));
+
+            result[ok ? "allowed" : "disallowed"].push(name);
+        });
+        return result;
+    }
+
+    exports.fits                = fits;
+    exports.elementParticles    = elementParticles;
+    exports.insertable          = insertable;
+});
@@ -0,0 +1,198 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, window */
+
+/**
+ * Shows the documentation of the element or attribute under the mouse in a
+ * popup, in MuCow editors.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var EditorManager = brackets.getModule("editor/EditorManager");
+
+    var WidgetModel = require("WidgetModel");
+
+    // Time the mouse has to rest on a name before the popup opens, in ms
+    var HOVER_DELAY = 400;
+
+    var _documentation = null,
+        _$popup = null,
+        _shown = null,
+        _timer = null;
+
+    /**
+     * Builds the popup content for a description from Documentation
+     * @param {!Object} info - result of describeTag() or describeAttribute()
+     * @return {jQueryObject}
+     */
+    function render(info) {
+        var $content = $("<div>").addClass("mucow-doc"),
+            details = [];
+
+        $("<div>").addClass("mucow-doc-signature").text(info.signature).appendTo($content);
+        if (info.description) {
+            $("<div>").addClass("mucow-doc-description").text(info.description).appendTo($content);
+        }
+
+        if (info.kind === "attribute") {
+            details.push(["Type", info.type]);
+            details.push(["Required", info.required ? "yes" : "no"]);
+            if (info.defaultValue !== null) {
+                details.push(["Default", info.defaultValue]);
+            }
+            if (info.values.length) {
+                details.push(["Values", info.values.join(", ")]);
+            }
+        } else {
+            if (info.required.length) {
+                details.push(["Required attributes", info.required.join(", ")]);
+            }
+            if (info.contexts.length) {
+                details.push(["Allowed in", info.contexts.map(function (context) {
+                    return "<" + context + ">";
+                }).join(", ")]);
+            }
+            if (info.contentType) {
+                details.push(["Content", info.contentType]);
+            }
+        }
+
+        details.forEach(function (detail) {
+            var $row = $("<div>").addClass("mucow-doc-detail");
+            $("<span>").addClass("mucow-doc-label").text(detail[0] + ": ").appendTo($row);
+            $("<span>").text(detail[1]).appendTo($row);
+            $row.appendTo($content);
+        });
+
+        return $content;
+    }
+
+    /**
+     * Closes the popup and cancels a pending one
+     */
+    function hide() {
+        window.clearTimeout(_timer);
+        _timer = null;
+        if (_$popup) {
+            _$popup.remove();
+            _$popup = null;
+        }
+        _shown = null;
+    }
+
+    /**
+     * Opens the popup for the name at a position of an editor, if any
+     * @param {!Editor} editor
+     * @param {{line: number, ch: number}} pos
+     */
+    function _showAt(editor, pos) {
+        var cm = editor._codeMirror,
+            offset = editor.indexFromPos(pos),
+            doc = WidgetModel.getModel(editor.document.getText()).document,
+            target = _documentation.nameAt(doc, offset),
+            info;
+
+        if (!target) {
+            hide();
+            return;
+        }
+
+        // Already showing this one
+        if (_shown && _shown.start === target.start && _shown.end === target.end) {
+            return;
+        }
+
+        info = target.attr ? _documentation.describeAttribute(target.tag, target.attr) : _documentation.describeTag(target.tag);
+        hide();
+        if (!info) {
+            return;
+        }
+
+        var coords = cm.charCoords(cm.posFromIndex(target.start), "page");
+        _$popup = $("<div>").addClass("mucow-doc-popup").append(render(info)).appendTo("body");
+        _$popup.css({ left: coords.left, top: coords.bottom + 2 });
+
+        // Keep it on screen
+        if (coords.bottom + 2 + _$popup.outerHeight() > $(window).height()) {
+            _$popup.css("top", coords.top - _$popup.outerHeight() - 2);
+        }
+        _shown = target;
+    }
+
+    /**
+     * Hooks the mouse events of an editor if it holds a MuCow document
+     * @param {?Editor} editor
+     */
+    function _attach(editor) {
+        if (!editor || editor.document.getLanguage().getId() !== "mucow") {
+            return;
+        }
+
+        $(editor.getRootElement())
+            .off(".mucowDoc")
+            .on("mousemove.mucowDoc", function (event) {
+                var pos = editor._codeMirror.coordsChar({ left: event.pageX, top: event.pageY }, "page");
+
+                window.clearTimeout(_timer);
+                _timer = window.setTimeout(function () {
+                    _timer = null;
+                    _showAt(editor, pos);
+                }, HOVER_DELAY);
+            })
+            .on("mouseleave.mucowDoc mousedown.mucowDoc keydown.mucowDoc", hide);
+
+        editor._codeMirror.off("scroll", hide);
+        editor._codeMirror.on("scroll", hide);
+    }
+
+    /**
+     * Replaces the documentation shown, when the grammar changes
+     * @param {!Documentation} documentation
+     */
+    function setDocumentation(documentation) {
+        hide();
+        _documentation = documentation;
+    }
+
+    /**
+     * Starts showing documentation popups in MuCow editors
+     * @param {!Documentation} documentation
+     */
+    function init(documentation) {
+        setDocumentation(documentation);
+
+        EditorManager.on("activeEditorChange", function (event, current) {
+            hide();
+            _attach(current);
+        });
+        _attach(EditorManager.getActiveEditor());
+    }
+
+    exports.init                = init;
+    exports.setDocumentation    = setDocumentation;
+    exports.render              = render;
+    exports.hide                = hide;
+});
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Combines the descriptions in MucowDocs.json with the type, use, default
+ * and allowed values from the schema, for hover popups and hint lists.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var SchemaModel = require("SchemaModel"),
+        WidgetModel = require("WidgetModel");
+
+    /**
+     * @constructor
+     * @param {!{tags: Object.<string, string>, attributes: Object.<string, string>}} docs
+     *      contents of MucowDocs.json; attribute descriptions are keyed by
+     *      "tag/attr", or by attribute name alone for shared attributes
+     * @param {!{elements: Object}} schema - result of SchemaModel.parse()
+     * @param {!Object} attributes - attribute hint table, keyed by "tag/attr"
+     */
+    function Documentation(docs, schema, attributes) {
+        this.docs = docs;
+        this.schema = schema;
+        this.attributes = attributes;
+    }
+
+    /**
+     * Returns the description of an attribute, without the schema details
+     * @param {string} tagName
+     * @param {string} attrName
+     * @return {string} empty if the attribute is not documented
+     */
+    Documentation.prototype.attributeSummary = function (tagName, attrName) {
+        var attrs = this.docs.attributes || {};
+        return attrs[tagName + "/" + attrName] || attrs[attrName] || "";
+    };
+
+    /**
+     * Returns the description of an element, without the schema details
+     * @param {string} tagName
+     * @return {string} empty if the element is not documented
+     */
+    Documentation.prototype.tagSummary = function (tagName) {
+        return (this.docs.tags || {})[tagName] || "";
+    };
+
+    /**
+     * Describes an attribute of an element
+     * @param {string} tagName
+     * @param {string} attrName
+     * @return {?{kind: string, name: string, tag: string, signature: string, description: string,
+     *      type: string, required: boolean, defaultValue: ?string, values: Array.<string>}}
+     *      null if neither the schema nor the docs know the attribute
+     */
+    Documentation.prototype.describeAttribute = function (tagName, attrName) {
+        var info = this.attributes[tagName + "/" + attrName] || this.attributes[attrName],
+            description = this.attributeSummary(tagName, attrName);
+
+        if (!info && !description) {
+            return null;
+        }
+        info = info || {};
+
+        var type = "xs:" + (info.type || "string"),
+            required = info.use === "required",
+            values = info.type === "boolean" ? ["true", "false"] : (info.attribOption || []).slice();
+
+        return {
+            kind: "attribute",
+            name: attrName,
+            tag: tagName,
+            signature: attrName + ": " + type + (required ? "" : "?") +
+                (info["default"] !== null && info["default"] !== undefined ? " = " + info["default"] : ""),
+            description: description,
+            type: type,
+            required: required,
+            defaultValue: info["default"] === undefined ? null : info["default"],
+            values: values
+        };
+    };
+
+    /**
+     * Describes an element
+     * @param {string} tagName
+     * @return {?{kind: string, name: string, signature: string, description: string,
+     *      required: Array.<string>, contexts: Array.<string>, contentType: ?string}}
+     *      null if neither the schema nor the docs know the element
+     */
+    Documentation.prototype.describeTag = function (tagName) {
+        var decl = this.schema.elements[tagName],
+            description = this.tagSummary(tagName);
+
+        if (!decl && !description) {
+            return null;
+        }
+
+        var required = [],
+            contexts = [],
+            contentType = null;
+
+        if (decl) {
+            required = decl.attributeOrder.filter(function (name) {
+                return decl.attributes[name].use === "required";
+            });
+            contexts = decl.contexts.filter(function (context) {
+                return context !== SchemaModel.ROOT_CONTEXT;
+            });
+            if (WidgetModel.CONTENT_TAGS.indexOf(tagName) !== -1) {
+                contentType = tagName === "documentReadyJS" ? "JavaScript" : "HTML";
+            } else if (decl.empty) {
+                contentType = "empty";
+            }
+        }
+
+        return {
+            kind: "tag",
+            name: tagName,
+            signature: "<" + tagName + required.map(function (name) {
+                return " " + name + "=\"\"";
+            }).join("") + ">",
+            description: description,
+            required: required,
+            contexts: contexts,
+            contentType: contentType
+        };
+    };
+
+    /**
+     * Finds the element or attribute name at an offset of a document
+     * @param {!XMLDocument} doc - document parsed by XMLParser
+     * @param {number} offset
+     * @return {?{tag: string, attr: ?string, start: number, end: number}}
+     *      the name under the offset, and its range in the text
+     */
+    Documentation.prototype.nameAt = function (doc, offset) {
+        var node = doc.elementAt(offset),
+            result = null;
+
+        if (!node || node.type !== "element") {
+            return null;
+        }
+
+        // Start tag name, just after "<"
+        if (offset > node.start && offset <= node.start + 1 + node.name.length) {
+            return { tag: node.name, attr: null, start: node.start + 1, end: node.start + 1 + node.name.length };
+        }
+
+        // End tag name, just after "</"
+        if (node.closeStart !== -1 && offset >= node.closeStart + 2 && offset <= node.closeStart + 2 + node.name.length) {
+            return { tag: node.name, attr: null, start: node.closeStart + 2, end: node.closeStart + 2 + node.name.length };
+        }
+
+        node.attributes.some(function (attr) {
+            if (offset >= attr.start && offset <= attr.start + attr.name.length) {
+                result = { tag: node.name, attr: attr.name, start: attr.start, end: attr.start + attr.name.length };
+                return true;
+            }
+            return false;
+        });
+        return result;
+    };
+
+    exports.Documentation = Documentation;
+});
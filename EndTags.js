@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Works out the end tags to offer and insert while typing: the element a
+ * "</" closes, and what completing a start tag with ">" calls for.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var XMLParser       = require("XMLParser"),
+        TagSnippets     = require("TagSnippets"),
+        WidgetModel     = require("WidgetModel");
+
+    /**
+     * Finds the element an end tag typed at a position closes: the innermost
+     * element still open there, or the innermost around it if all are closed
+     *
+     * @param {!string} text - document text
+     * @param {number} start - offset of the "</" being typed
+     * @param {number} end - offset of the end of what is typed so far
+     * @return {?string} the element name, or null at the top level
+     */
+    function openElement(text, start, end) {
+        // Leave the partial end tag out so it doesn't close anything itself
+        var doc = XMLParser.parse(text.substr(0, start) + text.substr(end)),
+            node = null,
+            innermost;
+
+        // Unclosed elements run to the end of the text, which may be `start`
+        doc.walk(function (child) {
+            if (child.type !== "element") {
+                return;
+            }
+            if (child.start >= start || (child.end < start || (child.end === start && child.closed))) {
+                return false;
+            }
+            node = child;
+        });
+        innermost = node;
+
+        while (node && node.closed) {
+            node = node.parent && node.parent.type === "element" ? node.parent : null;
+        }
+        node = node || innermost;
+        return node ? node.name : null;
+    }
+
+    /**
+     * Decides what follows a start tag just completed with ">"
+     *
+     * @param {!string} text - document text, with the ">"
+     * @param {number} offset - offset just after the ">"
+     * @param {!{elements: Object}} schema - result of SchemaModel.parse()
+     * @return {?{name: string, selfClose: boolean}} null when nothing should
+     *      change: the ">" ends something else, the element already has its
+     *      end tag, or it is HTML inside a content section. selfClose is
+     *      true for elements that are always empty, whose ">" becomes "/>";
+     *      the others get an end tag.
+     */
+    function afterStartTag(text, offset, schema) {
+        var doc = XMLParser.parse(text),
+            found = null;
+
+        doc.walk(function (node) {
+            if (found || node.start >= offset) {
+                return false;
+            }
+            if (node.type === "element" && node.openEnd === offset && !node.selfClosing && !node.unterminated) {
+                found = node;
+            }
+            // Markup in a content section is HTML, not MuCow
+            if (WidgetModel.CONTENT_TAGS.indexOf(node.name) !== -1) {
+                return false;
+            }
+        });
+
+        if (!found || found.closed) {
+            return null;
+        }
+        // Elements the schema doesn't know, e.g. from a project overlay, get an end tag
+        return { name: found.name, selfClose: TagSnippets.hasContent(schema, found.name) === false };
+    }
+
+    exports.openElement     = openElement;
+    exports.afterStartTag   = afterStartTag;
+});
@@ -0,0 +1,205 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+/**
+ * "Export Widget Library" command: validates the widget in the current
+ * editor and, when it has no errors, packages it with the local assets it
+ * references and a manifest into a zip archive (a .mulib) for designers.
+ * The archive is written by the node/ExportDomain Node domain.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var Dialogs             = brackets.getModule("widgets/Dialogs"),
+        DefaultDialogs      = brackets.getModule("widgets/DefaultDialogs"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        FileSystem          = brackets.getModule("filesystem/FileSystem"),
+        FileUtils           = brackets.getModule("file/FileUtils"),
+        ExtensionUtils      = brackets.getModule("utils/ExtensionUtils"),
+        NodeDomain          = brackets.getModule("utils/NodeDomain");
+
+    var WidgetPackage       = require("WidgetPackage"),
+        SemanticLinter      = require("SemanticLinter");
+
+    var TITLE = "Export Widget Library",
+        EXTENSION = ".mulib";
+
+    var _domain = new NodeDomain("mucowExport", ExtensionUtils.getModulePath(module, "node/ExportDomain"));
+
+    /**
+     * @private
+     * Shows an error, given as text
+     */
+    function _showError(message) {
+        Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_ERROR, TITLE, $("<div>").text(message).html());
+    }
+
+    /**
+     * @private
+     * Sorts the references of a package plan into the files that exist and
+     * those that can't be included
+     * @param {string} folder - full path of the widget's folder
+     * @param {!Array.<Object>} references - from WidgetPackage.plan()
+     * @param {!Array.<string>} reserved - names already taken in the package
+     * @return {$.Promise} resolved with the included and the unresolved references
+     */
+    function _findAssets(folder, references, reserved) {
+        var included = [],
+            unresolved = [];
+
+        var checks = references.map(function (ref) {
+            var deferred = new $.Deferred();
+
+            if (!ref.path) {
+                unresolved.push(ref);
+                return deferred.resolve().promise();
+            }
+            if (reserved.indexOf(ref.path) !== -1) {
+                unresolved.push($.extend({}, ref, { reason: "has the name of a file the package already holds" }));
+                return deferred.resolve().promise();
+            }
+
+            FileSystem.resolve(folder + ref.path, function (err, entry) {
+                if (!err && entry.isFile) {
+                    included.push(ref);
+                } else {
+                    unresolved.push($.extend({}, ref, { reason: "was not found" }));
+                }
+                deferred.resolve();
+            });
+            return deferred.promise();
+        });
+
+        return $.when.apply($, checks).then(function () {
+            return { included: included, unresolved: unresolved };
+        });
+    }
+
+    /**
+     * @private
+     * Tells what was exported, and what was left out
+     */
+    function _showSummary(target, count, unresolved) {
+        var $message = $("<div>").append($("<p>").text("Wrote " + count + " files to " + target + "."));
+
+        if (unresolved.length) {
+            $message.append($("<p>").text("These references were not included:"));
+            $message.append($("<ul>").append(unresolved.map(function (ref) {
+                return $("<li>").text(ref.reference + " " + ref.reason);
+            })));
+        }
+        Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_INFO, TITLE, $message.html());
+    }
+
+    /**
+     * @private
+     * Asks where to save the package and writes it
+     * @param {string} fullPath - path of the widget
+     * @param {string} text - the widget, as validated
+     * @param {?string} name - the widget name
+     * @param {{included: Array, unresolved: Array}} assets - from _findAssets()
+     */
+    function _writePackage(fullPath, text, name, assets) {
+        var folder = FileUtils.getDirectoryPath(fullPath),
+            fileName = FileUtils.getBaseName(fullPath);
+
+        FileSystem.showSaveDialog(TITLE, folder, FileUtils.getFilenameWithoutExtension(fileName) + EXTENSION, function (err, target) {
+            if (err || !target) {
+                return;
+            }
+
+            var entries = [
+                { name: fileName, text: text },
+                {
+                    name: WidgetPackage.MANIFEST_NAME,
+                    text: WidgetPackage.manifest({
+                        widget: name,
+                        file: fileName,
+                        included: assets.included,
+                        unresolved: assets.unresolved
+                    })
+                }
+            ].concat(assets.included.map(function (ref) {
+                return { name: ref.path, path: folder + ref.path };
+            }));
+
+            _domain.exec("writePackage", target, entries)
+                .done(function (count) {
+                    _showSummary(target, count, assets.unresolved);
+                })
+                .fail(function (error) {
+                    _showError("Could not write " + target + ": " + error);
+                });
+        });
+    }
+
+    /**
+     * Exports the MuCow widget in the current editor, after validating it
+     * @param {!function(string, string): $.Promise} lint - validates a document
+     *      text, resolving with {errors: Array} or null when it is clean
+     */
+    function exportActiveWidget(lint) {
+        var editor = EditorManager.getActiveEditor(),
+            doc = editor && editor.document;
+
+        if (!doc || doc.getLanguage().getId() !== "mucow") {
+            return;
+        }
+        if (doc.isUntitled()) {
+            _showError("Save the widget first, so its assets can be found next to it.");
+            return;
+        }
+
+        var fullPath = doc.file.fullPath,
+            text = doc.getText();
+
+        lint(text, fullPath)
+            .done(function (result) {
+                var errors = (result ? result.errors : []).filter(function (error) {
+                    return error.type !== SemanticLinter.Type.WARNING;
+                });
+
+                if (errors.length) {
+                    _showError("The widget has " + errors.length + (errors.length === 1 ? " error" : " errors") +
+                        " and was not exported. Fix the problems listed in the Problems panel first; the first is on line " +
+                        (errors[0].pos.line + 1) + ": " + errors[0].message);
+                    return;
+                }
+
+                var plan = WidgetPackage.plan(text);
+                _findAssets(FileUtils.getDirectoryPath(fullPath), plan.references,
+                    [FileUtils.getBaseName(fullPath), WidgetPackage.MANIFEST_NAME]).done(function (assets) {
+                    _writePackage(fullPath, text, plan.name, assets);
+                });
+            })
+            .fail(function (error) {
+                _showError("The widget could not be validated: " + error);
+            });
+    }
+
+    exports.exportActiveWidget = exportActiveWidget;
+});
@@ -0,0 +1,151 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets */
+
+/**
+ * "Format MuCow" command and format on save, using Formatter.
+ *
+ * Preferences, under "mucow.format":
+ *   attributeOrder  - attributes put first, e.g. ["name", "label", "defaultValue"]
+ *   wrapAttributes  - start tags longer than this get one attribute per line; 0 never wraps
+ *   reindentContent - give CDATA content the indentation of its element
+ *   formatOnSave    - format MuCow documents when they are saved
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var DocumentManager     = brackets.getModule("document/DocumentManager"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        CommandManager      = brackets.getModule("command/CommandManager"),
+        Commands            = brackets.getModule("command/Commands"),
+        PreferencesManager  = brackets.getModule("preferences/PreferencesManager"),
+        Dialogs             = brackets.getModule("widgets/Dialogs"),
+        DefaultDialogs      = brackets.getModule("widgets/DefaultDialogs");
+
+    var Formatter           = require("Formatter");
+
+    var prefs = PreferencesManager.getExtensionPrefs("mucow.format");
+
+    /**
+     * @private
+     * Converts an offset in a text to a {line, ch} position
+     */
+    function _posFromIndex(text, offset) {
+        var lines = text.substr(0, offset).split("\n");
+        return { line: lines.length - 1, ch: lines[lines.length - 1].length };
+    }
+
+    /**
+     * Formats a MuCow document as a single undoable edit
+     * @param {!Document} doc
+     * @return {?boolean} whether the text changed; null if the document is
+     *      not well-formed and was left alone
+     */
+    function formatDocument(doc) {
+        var text = doc.getText(),
+            formatted = Formatter.format(text, {
+                indentUnit: PreferencesManager.get("useTabChar") ? "\t" :
+                        new Array(PreferencesManager.get("spaceUnits") + 1).join(" "),
+                attributeOrder: prefs.get("attributeOrder"),
+                wrapAttributes: prefs.get("wrapAttributes"),
+                reindentContent: prefs.get("reindentContent")
+            });
+
+        if (formatted === null) {
+            return null;
+        }
+        if (formatted === text) {
+            return false;
+        }
+
+        // Only replace what changed, so markers and the cursor elsewhere stay put
+        var start = 0,
+            end = 0;
+        while (start < text.length && start < formatted.length && text.charAt(start) === formatted.charAt(start)) {
+            start++;
+        }
+        while (end < text.length - start && end < formatted.length - start &&
+                text.charAt(text.length - 1 - end) === formatted.charAt(formatted.length - 1 - end)) {
+            end++;
+        }
+
+        doc.replaceRange(formatted.substring(start, formatted.length - end),
+            _posFromIndex(text, start), _posFromIndex(text, text.length - end));
+        return true;
+    }
+
+    /**
+     * Formats the MuCow document in the current editor
+     */
+    function formatActiveEditor() {
+        var editor = EditorManager.getActiveEditor();
+
+        if (!editor || editor.document.getLanguage().getId() !== "mucow") {
+            return;
+        }
+        if (formatDocument(editor.document) === null) {
+            Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_ERROR, "Format MuCow",
+                "The document is not well-formed XML. Fix the errors in the Problems panel, then format it again.");
+        }
+    }
+
+    /**
+     * Defines the preferences and formats MuCow documents on save when asked to
+     */
+    function init() {
+        prefs.definePreference("attributeOrder", "array", Formatter.DEFAULT_ATTRIBUTE_ORDER);
+        prefs.definePreference("wrapAttributes", "number", 0);
+        prefs.definePreference("reindentContent", "boolean", false);
+        prefs.definePreference("formatOnSave", "boolean", false);
+
+        // Format just before the save commands run, so the formatted text is
+        // what gets written, in a single save and lint pass
+        CommandManager.on("beforeExecuteCommand", function (event, commandId) {
+            var docs;
+
+            if (!prefs.get("formatOnSave")) {
+                return;
+            }
+            if (commandId === Commands.FILE_SAVE || commandId === Commands.FILE_SAVE_AS) {
+                docs = [DocumentManager.getCurrentDocument()];
+            } else if (commandId === Commands.FILE_SAVE_ALL) {
+                docs = DocumentManager.getAllOpenDocuments();
+            } else {
+                return;
+            }
+
+            docs.forEach(function (doc) {
+                if (doc && doc.isDirty && doc.getLanguage().getId() === "mucow") {
+                    formatDocument(doc);
+                }
+            });
+        });
+    }
+
+    exports.init                = init;
+    exports.formatDocument      = formatDocument;
+    exports.formatActiveEditor  = formatActiveEditor;
+});
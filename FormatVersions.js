@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Knows which MuCow format version introduced each element, attribute and
+ * enumeration value. mucow.xsd describes the latest format; MucowFormats.json
+ * lists what is newer than format 1, so a widget can be checked against the
+ * formatNumber it declares.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var table = JSON.parse(require("text!MucowFormats.json"));
+
+    /**
+     * Returns the format a widget declares
+     * @param {?XMLNode} root - the <HTMLWidget> element
+     * @return {?number} null if the formatNumber is missing or not a known format
+     */
+    function declared(root) {
+        var value = root ? parseInt(root.getAttributeValue("formatNumber"), 10) : NaN;
+        return value >= 1 && value <= table.latest ? value : null;
+    }
+
+    /**
+     * @param {string} tagName
+     * @return {number} the first format that has the element
+     */
+    function elementMinimum(tagName) {
+        return table.elements[tagName] || 1;
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {string} attrName
+     * @return {number} the first format that has the attribute on the element
+     */
+    function attributeMinimum(tagName, attrName) {
+        return table.attributes[tagName + "/" + attrName] || 1;
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {string} attrName
+     * @param {string} value
+     * @return {number} the first format that accepts the value for the attribute
+     */
+    function valueMinimum(tagName, attrName, value) {
+        var values = table.values[tagName + "/" + attrName];
+        return (values && values[value]) || 1;
+    }
+
+    /**
+     * Describes a minimum format for messages and hints
+     * @param {number} minimum
+     * @return {string}
+     */
+    function requirement(minimum) {
+        return "requires formatNumber " + minimum + " or later";
+    }
+
+    exports.LATEST              = table.latest;
+    exports.declared            = declared;
+    exports.elementMinimum      = elementMinimum;
+    exports.attributeMinimum    = attributeMinimum;
+    exports.valueMinimum        = valueMinimum;
+    exports.requirement         = requirement;
+});
@@ -0,0 +1,212 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Pretty-prints a MuCow document: every element whose content is only
+ * elements is reindented, one child per line, and attributes are put in a
+ * canonical order and optionally wrapped. Elements with text or CDATA
+ * content (the content sections, <value> labels...) keep their content as
+ * written, comments are kept, and single blank lines between siblings too.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var XMLParser = require("XMLParser");
+
+    // Attributes put first when no order is given
+    var DEFAULT_ATTRIBUTE_ORDER = ["name", "label", "defaultValue"];
+
+    /**
+     * @private
+     * Whether a text node is only whitespace
+     */
+    function _isBlank(node) {
+        return node.type === "text" && !node.value.trim();
+    }
+
+    /**
+     * @private
+     * Whether an element only contains elements, comments and whitespace,
+     * so its children can be laid out
+     */
+    function _isElementOnly(node) {
+        return node.children.every(function (child) {
+            return child.type === "element" || child.type === "comment" || child.type === "pi" || _isBlank(child);
+        });
+    }
+
+    /**
+     * @private
+     * Gives the lines of a CDATA section the indentation of its element,
+     * keeping their relative indentation
+     * @param {string} value - content of the section
+     * @param {string} indent - indentation for the content lines
+     * @param {string} closeIndent - indentation for the line of "]]>"
+     * @return {string}
+     */
+    function _reindentCDATA(value, indent, closeIndent) {
+        var lines = value.split("\n"),
+            common = null;
+
+        if (lines.length < 2) {
+            return value;
+        }
+
+        // The first line follows "<![CDATA[" and keeps its place
+        lines.slice(1).forEach(function (line) {
+            if (line.trim()) {
+                var lead = (/^[ \t]*/).exec(line)[0];
+                while (common !== null && lead.indexOf(common) !== 0) {
+                    common = common.substr(0, common.length - 1);
+                }
+                common = common === null ? lead : common;
+            }
+        });
+        common = common || "";
+
+        return lines.map(function (line, i) {
+            if (i === 0) {
+                return line;
+            }
+            if (!line.trim()) {
+                return i === lines.length - 1 ? closeIndent : "";
+            }
+            return indent + line.substr(common.length);
+        }).join("\n");
+    }
+
+    /**
+     * Formats a document
+     *
+     * @param {!string} text - document text
+     * @param {?{indentUnit: string, attributeOrder: Array.<string>, wrapAttributes: number,
+     *      reindentContent: boolean}} options - indentUnit is one level of indentation;
+     *      attributeOrder lists the attributes that go first, in that order, the others
+     *      keeping theirs; start tags longer than wrapAttributes characters get one
+     *      attribute per line (0 never wraps); reindentContent gives the lines of CDATA
+     *      sections the indentation of their element
+     * @return {?string} the formatted text, or null if the document is not well-formed
+     */
+    function format(text, options) {
+        options = options || {};
+
+        var doc = XMLParser.parse(text),
+            indentUnit = options.indentUnit || "    ",
+            order = options.attributeOrder || DEFAULT_ATTRIBUTE_ORDER,
+            wrap = options.wrapAttributes || 0,
+            eol = text.indexOf("\r\n") !== -1 ? "\r\n" : "\n",
+            lines = [];
+
+        if (doc.errors.length || !_isElementOnly(doc)) {
+            return null;
+        }
+
+        function startTag(node, indent) {
+            var attrs = node.attributes.map(function (attr, i) {
+                var rank = order.indexOf(attr.name);
+                return {
+                    text: attr.name + "=" + text.substring(attr.valueStart - 1, attr.valueEnd + 1),
+                    rank: rank === -1 ? order.length : rank,
+                    index: i
+                };
+            }).sort(function (a, b) {
+                return (a.rank - b.rank) || (a.index - b.index);
+            }).map(function (attr) {
+                return attr.text;
+            });
+
+            var close = node.selfClosing ? "/>" : ">",
+                oneLine = "<" + node.name + attrs.map(function (attr) {
+                    return " " + attr;
+                }).join("") + close;
+
+            if (!wrap || attrs.length < 2 || indent.length + oneLine.length <= wrap) {
+                return oneLine;
+            }
+            return "<" + node.name + attrs.map(function (attr) {
+                return eol + indent + indentUnit + attr;
+            }).join("") + close;
+        }
+
+        function content(node, indent) {
+            var raw = text.substring(node.openEnd, node.closeStart),
+                sections = node.children.filter(function (child) {
+                    return !_isBlank(child);
+                });
+
+            if (options.reindentContent && sections.length === 1 && sections[0].type === "cdata") {
+                var cdata = sections[0];
+                return text.substring(node.openEnd, cdata.valueStart) +
+                    _reindentCDATA(cdata.value, indent + indentUnit, indent) +
+                    text.substring(cdata.valueEnd, node.closeStart);
+            }
+            return raw;
+        }
+
+        function layout(parent, indent) {
+            var blankLine = false,
+                emitted = false;
+
+            parent.children.forEach(function (child) {
+                if (child.type === "text") {
+                    // A blank line in the source separates the siblings around it
+                    blankLine = blankLine || (emitted && child.value.split("\n").length > 2);
+                    return;
+                }
+                if (blankLine) {
+                    lines.push("");
+                    blankLine = false;
+                }
+                emitted = true;
+
+                if (child.type !== "element") {
+                    lines.push(indent + text.substring(child.start, child.end));
+                } else if (child.selfClosing) {
+                    lines.push(indent + startTag(child, indent));
+                } else if (!_isElementOnly(child)) {
+                    lines.push(indent + startTag(child, indent) + content(child, indent) + "</" + child.name + ">");
+                } else if (child.children.some(function (node) {
+                        return node.type !== "text";
+                    })) {
+                    lines.push(indent + startTag(child, indent));
+                    layout(child, indent + indentUnit);
+                    lines.push(indent + "</" + child.name + ">");
+                } else {
+                    // Whitespace-only content is text too, and kept as written
+                    lines.push(indent + startTag(child, indent) + text.substring(child.openEnd, child.closeStart) +
+                        "</" + child.name + ">");
+                }
+            });
+        }
+
+        layout(doc, "");
+        return lines.join(eol) + eol;
+    }
+
+    exports.DEFAULT_ATTRIBUTE_ORDER = DEFAULT_ATTRIBUTE_ORDER;
+    exports.format                  = format;
+});
@@ -0,0 +1,154 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+/**
+ * Quick Edit for the defaultValue and transparentOption of a <color>
+ * parameter: a color picker that writes the value as #RRGGBB and shows what
+ * the parameter outputs for it, following rgbColor and formatHexColor.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var InlineWidget    = brackets.getModule("editor/InlineWidget").InlineWidget,
+        XMLUtils        = brackets.getModule("language/XMLUtils");
+
+    var WidgetModel     = require("WidgetModel"),
+        AttributeValues = require("AttributeValues");
+
+    // Attributes of <color> that hold a color
+    var COLOR_ATTRIBUTES = ["defaultValue", "transparentOption"];
+
+    /**
+     * @constructor
+     * @param {!XMLNode} node - the <color> element
+     * @param {!string} value - current value of the attribute
+     * @param {!Object} marker - CodeMirror text marker around the value
+     */
+    function InlineColorPicker(node, value, marker) {
+        InlineWidget.call(this);
+
+        this.node = node;
+        this.marker = marker;
+
+        var self = this,
+            rgb = AttributeValues.parseHexColor(value);
+
+        this.$picker = $("<input type='color'>").val(rgb ? AttributeValues.hexColor(rgb).toLowerCase() : "#000000");
+        this.$output = $("<span class='mucow-color-output'>");
+        this.$htmlContent.addClass("mucow-inline-color").append(this.$picker, this.$output);
+
+        this.$picker.on("input change", function () {
+            self._setValue(AttributeValues.hexColor(AttributeValues.parseHexColor(self.$picker.val())));
+        });
+        this._showOutput(value);
+    }
+    InlineColorPicker.prototype = Object.create(InlineWidget.prototype);
+    InlineColorPicker.prototype.constructor = InlineColorPicker;
+    InlineColorPicker.prototype.parentClass = InlineWidget.prototype;
+
+    /**
+     * @private
+     * Shows what the parameter outputs for a value
+     */
+    InlineColorPicker.prototype._showOutput = function (value) {
+        this.$output.text(value ? "Outputs " + AttributeValues.outputColor(this.node, value) : "");
+    };
+
+    /**
+     * @private
+     * Writes a new value into the document
+     */
+    InlineColorPicker.prototype._setValue = function (value) {
+        var range = this.marker.find();
+
+        if (!range) {
+            // The value was deleted from the document
+            this.close();
+            return;
+        }
+        this.hostEditor.document.replaceRange(value, range.from, range.to, "+mucowColor");
+        this._showOutput(value);
+    };
+
+    /**
+     * Sizes the widget once it is in the editor
+     */
+    InlineColorPicker.prototype.onAdded = function () {
+        InlineColorPicker.prototype.parentClass.onAdded.apply(this, arguments);
+        this.hostEditor.setInlineWidgetHeight(this, this.$htmlContent.outerHeight(), true);
+        this.$picker.focus();
+    };
+
+    /**
+     * Stops tracking the value once the widget is closed
+     */
+    InlineColorPicker.prototype.onClosed = function () {
+        InlineColorPicker.prototype.parentClass.onClosed.apply(this, arguments);
+        this.marker.clear();
+    };
+
+    /**
+     * Quick Edit provider: a color picker for a color value of a <color>
+     * parameter
+     * @param {!Editor} hostEditor
+     * @param {!{line: number, ch: number}} pos
+     * @return {?$.Promise} resolved with the inline widget, or null when the
+     *      position isn't in such a value
+     */
+    function inlineEditProvider(hostEditor, pos) {
+        if (hostEditor.document.getLanguage().getId() !== "mucow") {
+            return null;
+        }
+
+        var tagInfo = XMLUtils.getTagInfo(hostEditor, pos);
+        if (tagInfo.tokenType !== XMLUtils.TOKEN_VALUE || tagInfo.tagName !== "color" ||
+                COLOR_ATTRIBUTES.indexOf(tagInfo.attrName) === -1) {
+            return null;
+        }
+
+        var model = WidgetModel.getModel(hostEditor.document.getText()),
+            node = model.root && model.root.elementAt(hostEditor.indexFromPos(pos)),
+            attr = node && node.name === "color" && node.getAttribute(tagInfo.attrName);
+
+        if (!attr || attr.valueStart === -1) {
+            return null;
+        }
+
+        var cm = hostEditor._codeMirror,
+            marker = cm.markText(cm.posFromIndex(attr.valueStart), cm.posFromIndex(attr.valueEnd), {
+                inclusiveLeft: true,
+                inclusiveRight: true,
+                clearWhenEmpty: false
+            }),
+            picker = new InlineColorPicker(node, attr.value, marker);
+
+        picker.load(hostEditor);
+        return new $.Deferred().resolve(picker).promise();
+    }
+
+    exports.inlineEditProvider = inlineEditProvider;
+});
@@ -0,0 +1,264 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, CodeMirror */
+
+/**
+ * CodeMirror mode for MuCow. The widget structure is highlighted by the xml
+ * mode; the bodies of the content sections are handed to htmlmixed (which
+ * takes care of nested <script> and <style>) or, for documentReadyJS, to the
+ * javascript mode. {param_*} placeholders get their own token type.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WidgetModel = require("WidgetModel");
+
+    var MODE_NAME           = "mucow",
+        PLACEHOLDER_STYLE   = "mucow-placeholder",
+        CDATA_START         = "<![CDATA[",
+        CDATA_END           = "]]>";
+
+    // Regex to match a placeholder at the stream position.
+    var regexPlaceholder = /^\{param_[\w\-]+\}/;
+
+    /**
+     * @private
+     * The structural part of the mode: xml for the widget markup, with the
+     * content section bodies delegated to an embedded mode.
+     */
+    function contentMode(config) {
+        var xmlMode = CodeMirror.getMode(config, "xml"),
+            htmlMode = CodeMirror.getMode(config, "htmlmixed"),
+            jsMode = CodeMirror.getMode(config, "javascript");
+
+        function enterContent(state, tagName) {
+            var mode = tagName === "documentReadyJS" ? jsMode : htmlMode;
+            state.inner = {
+                tagName: tagName,
+                mode: mode,
+                state: CodeMirror.startState(mode),
+                inCdata: false
+            };
+        }
+
+        // Returns the offset in the current line where the embedded mode has
+        // to hand control back, or -1 if it can run to the end of the line
+        function findStop(stream, inner) {
+            var rest = stream.string.slice(stream.pos),
+                stop = inner.inCdata ? rest.indexOf(CDATA_END) : rest.indexOf(CDATA_START),
+                endTag = inner.inCdata ? -1 : rest.search(new RegExp("</\\s*" + inner.tagName + "\\s*>"));
+
+            if (endTag !== -1 && (stop === -1 || endTag < stop)) {
+                stop = endTag;
+            }
+            return stop === -1 ? -1 : stream.pos + stop;
+        }
+
+        function tokenContent(stream, state) {
+            var inner = state.inner,
+                attempts = 0;
+
+            if (!inner.inCdata && stream.match(new RegExp("^</\\s*" + inner.tagName + "\\s*>"), false)) {
+                state.inner = null;
+                return xmlMode.token(stream, state.xmlState);
+            }
+            if (!inner.inCdata && stream.match(CDATA_START)) {
+                inner.inCdata = true;
+                return "atom";
+            }
+            if (inner.inCdata && stream.match(CDATA_END)) {
+                inner.inCdata = false;
+                return "atom";
+            }
+
+            var stop = findStop(stream, inner),
+                oldString = stream.string,
+                style;
+
+            if (stop !== -1) {
+                stream.string = oldString.slice(0, stop);
+            }
+            // Like CodeMirror itself, give the mode a few chances to advance,
+            // it may just have switched state (e.g. at the end of a <script>)
+            do {
+                style = inner.mode.token(stream, inner.state);
+            } while (stream.pos === stream.start && ++attempts < 10);
+            stream.string = oldString;
+
+            if (stream.pos === stream.start) {
+                stream.next();
+            }
+            return style;
+        }
+
+        return {
+            startState: function () {
+                return {
+                    xmlState: CodeMirror.startState(xmlMode),
+                    inner: null
+                };
+            },
+
+            copyState: function (state) {
+                var inner = null;
+                if (state.inner) {
+                    inner = {
+                        tagName: state.inner.tagName,
+                        mode: state.inner.mode,
+                        state: CodeMirror.copyState(state.inner.mode, state.inner.state),
+                        inCdata: state.inner.inCdata
+                    };
+                }
+                return {
+                    xmlState: CodeMirror.copyState(xmlMode, state.xmlState),
+                    inner: inner
+                };
+            },
+
+            token: function (stream, state) {
+                if (state.inner) {
+                    return tokenContent(stream, state);
+                }
+
+                var context = state.xmlState.context,
+                    style = xmlMode.token(stream, state.xmlState),
+                    newContext = state.xmlState.context;
+
+                // The '>' that completes a content section's start tag pushes
+                // a new context in the xml mode; everything after it is content
+                if (style && style.indexOf("bracket") !== -1 && stream.current() === ">" &&
+                        newContext && newContext !== context &&
+                        WidgetModel.CONTENT_TAGS.indexOf(newContext.tagName) !== -1) {
+                    enterContent(state, newContext.tagName);
+                }
+                return style;
+            },
+
+            indent: function (state, textAfter) {
+                if (state.inner) {
+                    return state.inner.mode.indent ? state.inner.mode.indent(state.inner.state, textAfter) : CodeMirror.Pass;
+                }
+                return xmlMode.indent(state.xmlState, textAfter);
+            },
+
+            blankLine: function (state) {
+                if (state.inner && state.inner.mode.blankLine) {
+                    state.inner.mode.blankLine(state.inner.state);
+                }
+            },
+
+            innerMode: function (state) {
+                if (state.inner) {
+                    return { state: state.inner.state, mode: state.inner.mode };
+                }
+                return { state: state.xmlState, mode: xmlMode };
+            }
+        };
+    }
+
+    /**
+     * @private
+     * Runs the content mode and layers the placeholder style over it, the
+     * same way CodeMirror's overlay addon does. Placeholders are kept out of
+     * the embedded modes so that e.g. a JavaScript string containing one is
+     * still tokenized as a single string.
+     */
+    CodeMirror.defineMode(MODE_NAME, function (config) {
+        var base = contentMode(config);
+
+        function tokenPlaceholder(stream) {
+            if (stream.match(regexPlaceholder)) {
+                return PLACEHOLDER_STYLE;
+            }
+            while (stream.next() !== undefined && !stream.match(/^\{param_/, false)) {
+                // skip to the next possible placeholder
+            }
+            return null;
+        }
+
+        return {
+            startState: function () {
+                return {
+                    base: base.startState(),
+                    basePos: 0,
+                    baseCur: null,
+                    overlayPos: 0,
+                    overlayCur: null,
+                    streamSeen: null
+                };
+            },
+
+            copyState: function (state) {
+                return {
+                    base: base.copyState(state.base),
+                    basePos: state.basePos,
+                    baseCur: null,
+                    overlayPos: state.overlayPos,
+                    overlayCur: null
+                };
+            },
+
+            token: function (stream, state) {
+                if (stream !== state.streamSeen || Math.min(state.basePos, state.overlayPos) < stream.start) {
+                    state.streamSeen = stream;
+                    state.basePos = state.overlayPos = stream.start;
+                }
+
+                if (stream.start === state.basePos) {
+                    state.baseCur = base.token(stream, state.base);
+                    state.basePos = stream.pos;
+                }
+                if (stream.start === state.overlayPos) {
+                    stream.pos = stream.start;
+                    state.overlayCur = tokenPlaceholder(stream);
+                    state.overlayPos = stream.pos;
+                }
+                stream.pos = Math.min(state.basePos, state.overlayPos);
+
+                if (!state.overlayCur) {
+                    return state.baseCur;
+                }
+                return state.baseCur ? state.baseCur + " " + state.overlayCur : state.overlayCur;
+            },
+
+            indent: function (state, textAfter) {
+                return base.indent(state.base, textAfter);
+            },
+
+            blankLine: function (state) {
+                base.blankLine(state.base);
+            },
+
+            innerMode: function (state) {
+                return base.innerMode(state.base);
+            },
+
+            electricInput: /<\/[\s\w:]+>$/
+        };
+    }, "xml", "htmlmixed", "javascript");
+
+    exports.MODE_NAME           = MODE_NAME;
+    exports.PLACEHOLDER_STYLE   = PLACEHOLDER_STYLE;
+});
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+/**
+ * "New MuCow Widget" command: asks for the basics of a widget, generates
+ * its skeleton and saves it as a new .mucow file.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var Dialogs             = brackets.getModule("widgets/Dialogs"),
+        DefaultDialogs      = brackets.getModule("widgets/DefaultDialogs"),
+        FileSystem          = brackets.getModule("filesystem/FileSystem"),
+        FileUtils           = brackets.getModule("file/FileUtils"),
+        ProjectManager      = brackets.getModule("project/ProjectManager"),
+        PreferencesManager  = brackets.getModule("preferences/PreferencesManager"),
+        CommandManager      = brackets.getModule("command/CommandManager"),
+        Commands            = brackets.getModule("command/Commands"),
+        Mustache            = brackets.getModule("thirdparty/mustache/mustache");
+
+    var WidgetScaffold      = require("WidgetScaffold"),
+        FormatVersions      = require("FormatVersions"),
+        dialogTemplate      = require("text!htmlContent/new-widget-dialog.html");
+
+    /**
+     * @private
+     * Reads the choices made in the dialog
+     */
+    function _readOptions($dlg) {
+        function checked(selector) {
+            return $dlg.find(selector + ":checked").map(function () {
+                return $(this).val();
+            }).get();
+        }
+
+        return {
+            name: $dlg.find(".mucow-widget-name").val(),
+            formatNumber: parseInt($dlg.find(".mucow-widget-format").val(), 10),
+            localization: $dlg.find(".mucow-widget-localization").val(),
+            isResizable: $dlg.find(".mucow-widget-resizable").prop("checked"),
+            isResponsive: $dlg.find(".mucow-widget-responsive").prop("checked"),
+            parameterTypes: checked(".mucow-widget-type"),
+            locales: checked(".mucow-widget-locale")
+        };
+    }
+
+    /**
+     * @private
+     * Writes the widget to a file chosen by the user and opens it
+     */
+    function _save(options) {
+        var proposedName = options.name.trim().replace(/[^\w\-]+/g, "-").replace(/^-+|-+$/g, "") || "widget";
+
+        options.indentUnit = PreferencesManager.get("useTabChar") ? "\t" :
+                new Array(PreferencesManager.get("spaceUnits") + 1).join(" ");
+
+        FileSystem.showSaveDialog("New MuCow Widget", ProjectManager.getProjectRoot().fullPath, proposedName + ".mucow",
+            function (err, path) {
+                if (err || !path) {
+                    return;
+                }
+                FileUtils.writeText(FileSystem.getFileForPath(path), WidgetScaffold.generate(options), true)
+                    .done(function () {
+                        CommandManager.execute(Commands.CMD_ADD_TO_WORKINGSET_AND_OPEN, { fullPath: path });
+                    })
+                    .fail(function (error) {
+                        Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_ERROR, "New MuCow Widget",
+                            $("<div>").text("Could not save " + path + ": " + FileUtils.getFileErrorString(error)).html());
+                    });
+            });
+    }
+
+    /**
+     * Shows the dialog and creates the widget
+     * @param {Array.<string>} locales - locale names a string table can have
+     */
+    function show(locales) {
+        var formats = [],
+            i;
+
+        for (i = 1; i <= FormatVersions.LATEST; i++) {
+            formats.push({ value: i, selected: i === FormatVersions.LATEST });
+        }
+
+        var dialog = Dialogs.showModalDialogUsingTemplate(Mustache.render(dialogTemplate, {
+                formats: formats,
+                localizations: ["none", "stringTable", "builtIn"],
+                types: WidgetScaffold.PARAMETER_TYPES,
+                locales: locales
+            }), false),
+            $dlg = dialog.getElement();
+
+        // Reasonable defaults: a text parameter and an English string table
+        $dlg.find(".mucow-widget-type[value='text'], .mucow-widget-locale[value='en_US']").prop("checked", true);
+
+        function update() {
+            var options = _readOptions($dlg),
+                problems = WidgetScaffold.check(options);
+
+            $dlg.find(".mucow-widget-locales").toggle(options.localization === "stringTable");
+            $dlg.find(".mucow-widget-problems").text(problems.join("\n"));
+            $dlg.find("[data-button-id='ok']").prop("disabled", problems.length > 0);
+            return problems.length === 0;
+        }
+
+        $dlg.on("input change", "input, select", update);
+        update();
+        $dlg.find(".mucow-widget-name").focus().select();
+
+        $dlg.on("buttonClick", function (event, buttonId) {
+            if (buttonId !== Dialogs.DIALOG_BTN_OK) {
+                dialog.close();
+            } else if (update()) {
+                dialog.close();
+                _save(_readOptions($dlg));
+            }
+        });
+    }
+
+    exports.show = show;
+});
@@ -0,0 +1,274 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Describes the controls of the Muse Options panel for a widget, and the
+ * values and disabled state they have, without any UI.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    /**
+     * @private
+     * Reads a boolean attribute
+     * @param {!XMLNode} node
+     * @param {string} name
+     * @return {boolean}
+     */
+    function _flag(node, name) {
+        return node.getAttributeValue(name) === "true";
+    }
+
+    /**
+     * @private
+     * Reads a numeric attribute
+     * @param {!XMLNode} node
+     * @param {string} name
+     * @param {?number} fallback - used when the attribute is missing or not a number
+     * @return {?number}
+     */
+    function _number(node, name, fallback) {
+        var value = parseFloat(node.getAttributeValue(name));
+        return isNaN(value) ? fallback : value;
+    }
+
+    /**
+     * Splits a disableOptions attribute into names
+     * @param {?string} value
+     * @return {Array.<string>}
+     */
+    function splitNames(value) {
+        return (value || "").split(",").map(function (name) {
+            return name.trim();
+        }).filter(function (name) {
+            return name.length > 0;
+        });
+    }
+
+    /**
+     * @private
+     * Describes an option of a bool or list
+     */
+    function _option(node) {
+        return {
+            node: node,
+            name: node.getAttributeValue("name"),
+            value: node.getAttributeValue("value"),
+            label: node.getAttributeValue("label"),
+            disableOptions: splitNames(node.getAttributeValue("disableOptions"))
+        };
+    }
+
+    /**
+     * @private
+     * Describes one child of <parameters> or <section>
+     * @param {!XMLNode} node
+     * @return {?Object} null for elements that have no control
+     */
+    function _control(node) {
+        var control = {
+            kind: node.name,
+            node: node,
+            name: node.getAttributeValue("name"),
+            label: node.getAttributeValue("label"),
+            toolTip: node.getAttributeValue("toolTip"),
+            defaultValue: node.getAttributeValue("defaultValue")
+        };
+
+        switch (node.name) {
+        case "text":
+            control.multiline = _flag(node, "multiline");
+            break;
+        case "number":
+            control.min = _number(node, "min", null);
+            control.max = _number(node, "max", null);
+            control.step = _number(node, "step", 1);
+            control.snap = _number(node, "snap", 1);
+            control.digitsPrecision = _number(node, "digitsPrecision", null);
+            break;
+        case "bool":
+            control.trueVal = node.childElements("trueVal").map(_option)[0] || null;
+            control.falseVal = node.childElements("falseVal").map(_option)[0] || null;
+            break;
+        case "list":
+            control.values = node.childElements("value").map(_option);
+            break;
+        case "color":
+            control.supportsNoneColor = _flag(node, "supportsNoneColor");
+            break;
+        case "url":
+            control.urlStart = node.getAttributeValue("urlStart");
+            break;
+        case "file":
+            control.fileTypes = node.getAttributeValue("fileTypes");
+            control.filterLabel = node.getAttributeValue("filterLabel");
+            break;
+        case "info":
+            control.linkURL = node.getAttributeValue("linkURL");
+            break;
+        case "separator":
+            break;
+        case "section":
+            control.expanded = _flag(node, "expanded");
+            control.items = node.childElements().map(_control).filter(Boolean);
+            break;
+        default:
+            // builtIn values are supplied by Muse and have no control
+            return null;
+        }
+        return control;
+    }
+
+    /**
+     * Describes the controls of a widget, in document order
+     * @param {!WidgetModel} model
+     * @return {Array.<Object>} controls; sections have their own `items`
+     */
+    function build(model) {
+        if (!model.parametersNode) {
+            return [];
+        }
+        return model.parametersNode.childElements().map(_control).filter(Boolean);
+    }
+
+    /**
+     * Calls a function for every control, including those inside sections
+     * @param {!Array.<Object>} items
+     * @param {function(Object, ?Object)} callback - called with the control and its section
+     */
+    function forEachControl(items, callback) {
+        items.forEach(function (item) {
+            callback(item, null);
+            if (item.kind === "section") {
+                item.items.forEach(function (child) {
+                    callback(child, item);
+                });
+            }
+        });
+    }
+
+    /**
+     * Applies the min, max and snap of a number control to a value
+     * @param {!Object} control - a number control
+     * @param {number} value
+     * @return {number}
+     */
+    function constrainNumber(control, value) {
+        if (isNaN(value)) {
+            value = parseFloat(control.defaultValue) || 0;
+        }
+        if (control.snap) {
+            var base = control.min !== null ? control.min : 0;
+            value = base + Math.round((value - base) / control.snap) * control.snap;
+        }
+        if (control.min !== null) {
+            value = Math.max(control.min, value);
+        }
+        if (control.max !== null) {
+            value = Math.min(control.max, value);
+        }
+        if (control.digitsPrecision !== null) {
+            value = parseFloat(value.toFixed(control.digitsPrecision));
+        }
+        return value;
+    }
+
+    /**
+     * Returns the value each named control starts with. Values the user
+     * already set are kept when their control still exists.
+     *
+     * @param {!Array.<Object>} items - result of build()
+     * @param {?Object.<string, string>} previous - values from before the document changed
+     * @return {Object.<string, string>}
+     */
+    function initialValues(items, previous) {
+        var values = {};
+
+        forEachControl(items, function (control) {
+            if (!control.name || control.kind === "section") {
+                return;
+            }
+            if (previous && previous.hasOwnProperty(control.name)) {
+                values[control.name] = previous[control.name];
+            } else if (control.kind === "bool") {
+                values[control.name] = control.defaultValue === "true" ? "true" : "false";
+            } else if (control.kind === "number") {
+                values[control.name] = String(constrainNumber(control, parseFloat(control.defaultValue)));
+            } else {
+                values[control.name] = control.defaultValue || "";
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Returns the bool or list option that is chosen for a control
+     * @param {!Object} control - a bool or list control
+     * @param {string} value - current value of the control
+     * @return {?Object} the trueVal, falseVal or value option
+     */
+    function selectedOption(control, value) {
+        if (control.kind === "bool") {
+            return value === "true" ? control.trueVal : control.falseVal;
+        }
+        if (control.kind === "list") {
+            return control.values.filter(function (option) {
+                return option.name === value;
+            })[0] || null;
+        }
+        return null;
+    }
+
+    /**
+     * Works out which controls and sections are disabled by the
+     * disableOptions of the chosen bool and list options
+     *
+     * @param {!Array.<Object>} items - result of build()
+     * @param {!Object.<string, string>} values
+     * @return {Object.<string, boolean>} disabled names
+     */
+    function disabledNames(items, values) {
+        var disabled = {};
+
+        forEachControl(items, function (control) {
+            var option = selectedOption(control, values[control.name]);
+            if (option) {
+                option.disableOptions.forEach(function (name) {
+                    disabled[name] = true;
+                });
+            }
+        });
+        return disabled;
+    }
+
+    exports.splitNames      = splitNames;
+    exports.build           = build;
+    exports.forEachControl  = forEachControl;
+    exports.constrainNumber = constrainNumber;
+    exports.initialValues   = initialValues;
+    exports.selectedOption  = selectedOption;
+    exports.disabledNames   = disabledNames;
+});
@@ -0,0 +1,318 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, window */
+
+/**
+ * Bottom panel showing a mock of the Muse Options panel for the widget in
+ * the current editor. The controls can be used: the values they hold and
+ * the options they disable are tracked, and kept across edits.
+ *
+ * Triggers "change" with the current values whenever they change.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WorkspaceManager    = brackets.getModule("view/WorkspaceManager"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        DocumentManager     = brackets.getModule("document/DocumentManager"),
+        EventDispatcher     = brackets.getModule("utils/EventDispatcher");
+
+    var WidgetModel         = require("WidgetModel"),
+        OptionsModel        = require("OptionsModel"),
+        panelHTML           = require("text!htmlContent/options-panel.html");
+
+    // Delay after the last edit before the panel is rebuilt, in ms
+    var REFRESH_DELAY = 300;
+
+    var _panel = null,
+        _$controls = null,
+        _document = null,
+        _items = [],
+        _values = {},
+        _collapsed = {},    // section label -> true when collapsed by the user
+        _timer = null;
+
+    EventDispatcher.makeEventDispatcher(exports);
+
+    /**
+     * @private
+     * Greys out the controls disabled by the chosen options
+     */
+    function _applyDisabled() {
+        var disabled = OptionsModel.disabledNames(_items, _values);
+
+        _$controls.find("[data-name]").each(function () {
+            var $item = $(this),
+                off = disabled.hasOwnProperty($item.attr("data-name"));
+
+            $item.toggleClass("mucow-option-disabled", off);
+            $item.find("input, select, textarea, button").prop("disabled", off);
+        });
+    }
+
+    /**
+     * @private
+     * Records a new value for a control
+     */
+    function _setValue(name, value) {
+        if (_values[name] === value) {
+            return;
+        }
+        _values[name] = value;
+        _applyDisabled();
+        exports.trigger("change", _values);
+    }
+
+    /**
+     * @private
+     * Builds the input for a control
+     * @param {!Object} control - from OptionsModel.build()
+     * @return {jQueryObject}
+     */
+    function _renderInput(control) {
+        var name = control.name,
+            value = _values[name],
+            $input;
+
+        switch (control.kind) {
+        case "text":
+            $input = control.multiline ? $("<textarea rows='3'>") : $("<input type='text'>");
+            $input.val(value).on("input", function () {
+                _setValue(name, $input.val());
+            });
+            break;
+        case "url":
+        case "file":
+            $input = $("<input type='text'>")
+                .attr("placeholder", control.kind === "url" ? (control.urlStart || "http://") : (control.fileTypes || ""))
+                .val(value)
+                .on("input", function () {
+                    _setValue(name, $input.val());
+                });
+            if (control.kind === "file") {
+                $input = $("<span>").append($input, $("<button class='btn small' disabled>").text("Browse..."));
+            }
+            break;
+        case "number":
+            $input = $("<input type='number'>")
+                .attr({ min: control.min, max: control.max, step: control.step })
+                .val(value)
+                .on("change", function () {
+                    var constrained = String(OptionsModel.constrainNumber(control, parseFloat($input.val())));
+                    $input.val(constrained);
+                    _setValue(name, constrained);
+                });
+            break;
+        case "bool":
+            $input = $("<input type='checkbox'>")
+                .prop("checked", value === "true")
+                .on("change", function () {
+                    _setValue(name, $input.prop("checked") ? "true" : "false");
+                });
+            break;
+        case "list":
+            $input = $("<select>");
+            control.values.forEach(function (option) {
+                $("<option>").attr("value", option.name).text(option.label || option.name).appendTo($input);
+            });
+            $input.val(value).on("change", function () {
+                _setValue(name, $input.val());
+            });
+            break;
+        case "color":
+            var $picker = $("<input type='color'>"),
+                $text = $("<input type='text' class='mucow-option-color-text'>").val(value);
+
+            if (/^#[0-9a-f]{6}$/i.test(value)) {
+                $picker.val(value);
+            }
+            $picker.on("input change", function () {
+                $text.val($picker.val());
+                _setValue(name, $picker.val());
+            });
+            $text.on("input", function () {
+                if (/^#[0-9a-f]{6}$/i.test($text.val())) {
+                    $picker.val($text.val());
+                }
+                _setValue(name, $text.val());
+            });
+            $input = $("<span>").append($picker, $text);
+            if (control.supportsNoneColor) {
+                $input.append($("<button class='btn small'>").text("None").on("click", function () {
+                    $text.val("");
+                    _setValue(name, "");
+                }));
+            }
+            break;
+        default:
+            $input = $();
+        }
+        return $input;
+    }
+
+    /**
+     * @private
+     * Builds the row for a control
+     * @param {!Object} control - from OptionsModel.build()
+     * @return {jQueryObject}
+     */
+    function _renderItem(control) {
+        var $row = $("<div>").addClass("mucow-option mucow-option-" + control.kind);
+
+        if (control.name) {
+            $row.attr("data-name", control.name);
+        }
+        if (control.toolTip) {
+            $row.attr("title", control.toolTip);
+        }
+
+        if (control.kind === "separator") {
+            return $row.append("<hr>");
+        }
+
+        if (control.kind === "info") {
+            var $label = control.linkURL ? $("<a>").attr({ href: control.linkURL, title: control.linkURL }) : $("<span>");
+            return $row.append($label.text(control.label || ""));
+        }
+
+        if (control.kind === "section") {
+            var key = control.name || control.label || "",
+                $header = $("<div class='mucow-option-section-header'>").text(control.label || control.name || ""),
+                $body = $("<div class='mucow-option-section-body'>");
+
+            if (!_collapsed.hasOwnProperty(key)) {
+                _collapsed[key] = !control.expanded;
+            }
+            $row.toggleClass("collapsed", _collapsed[key]);
+            $header.on("click", function () {
+                _collapsed[key] = !_collapsed[key];
+                $row.toggleClass("collapsed", _collapsed[key]);
+            });
+            control.items.forEach(function (item) {
+                $body.append(_renderItem(item));
+            });
+            return $row.append($header, $body);
+        }
+
+        $("<label>").text(control.label || control.name || "").appendTo($row);
+        return $row.append(_renderInput(control));
+    }
+
+    /**
+     * @private
+     * Rebuilds the panel from the current document
+     */
+    function _refresh() {
+        window.clearTimeout(_timer);
+        _timer = null;
+
+        if (!_panel || !_panel.isVisible()) {
+            return;
+        }
+
+        var editor = EditorManager.getActiveEditor(),
+            doc = editor && editor.document.getLanguage().getId() === "mucow" ? editor.document : null,
+            previous = doc === _document ? _values : null;
+
+        _document = doc;
+        _items = doc ? OptionsModel.build(WidgetModel.getModel(doc.getText())) : [];
+        _values = OptionsModel.initialValues(_items, previous);
+
+        _$controls.empty();
+        _items.forEach(function (item) {
+            _$controls.append(_renderItem(item));
+        });
+        _applyDisabled();
+        _panel.$panel.toggleClass("empty", _items.length === 0);
+
+        exports.trigger("change", _values);
+    }
+
+    /**
+     * @private
+     * Rebuilds the panel a little after the last edit
+     */
+    function _scheduleRefresh() {
+        window.clearTimeout(_timer);
+        _timer = window.setTimeout(_refresh, REFRESH_DELAY);
+    }
+
+    /**
+     * Creates the panel, hidden
+     */
+    function init() {
+        var $panel = $(panelHTML);
+
+        _panel = WorkspaceManager.createBottomPanel("mucow.optionsPanel", $panel, 100);
+        _$controls = $panel.find(".mucow-options-controls");
+
+        $panel.on("click", ".close", function (event) {
+            event.preventDefault();
+            _panel.hide();
+            exports.trigger("visibilityChange", false);
+        });
+
+        EditorManager.on("activeEditorChange", _refresh);
+        DocumentManager.on("documentChange", function (event, doc) {
+            if (doc === _document) {
+                _scheduleRefresh();
+            }
+        });
+    }
+
+    /**
+     * Shows or hides the panel
+     * @param {boolean} show
+     */
+    function setVisible(show) {
+        _panel.setVisible(show);
+        if (show) {
+            _refresh();
+        }
+        exports.trigger("visibilityChange", show);
+    }
+
+    /**
+     * @return {boolean} whether the panel is showing
+     */
+    function isVisible() {
+        return _panel.isVisible();
+    }
+
+    /**
+     * Returns the values set in the panel, keyed by parameter name, if it
+     * is showing the given document
+     * @param {!Document} doc
+     * @return {?Object.<string, string>}
+     */
+    function getValues(doc) {
+        return _panel && _panel.isVisible() && doc === _document ? _values : null;
+    }
+
+    exports.init        = init;
+    exports.setVisible  = setVisible;
+    exports.isVisible   = isVisible;
+    exports.getValues   = getValues;
+});
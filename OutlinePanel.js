@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, window */
+
+/**
+ * Bottom panel with the outline of the widget in the current editor.
+ * Clicking an entry selects it in the editor.
+ *
+ * Triggers "visibilityChange" when the panel is closed from its toolbar.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WorkspaceManager    = brackets.getModule("view/WorkspaceManager"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        DocumentManager     = brackets.getModule("document/DocumentManager"),
+        EventDispatcher     = brackets.getModule("utils/EventDispatcher");
+
+    var WidgetModel         = require("WidgetModel"),
+        WidgetOutline       = require("WidgetOutline"),
+        panelHTML           = require("text!htmlContent/outline-panel.html");
+
+    // Delay after the last edit before the outline is rebuilt, in ms
+    var REFRESH_DELAY = 300;
+
+    var _panel = null,
+        _$entries = null,
+        _editor = null,
+        _timer = null;
+
+    EventDispatcher.makeEventDispatcher(exports);
+
+    /**
+     * @private
+     * Rebuilds the outline from the current editor
+     */
+    function _refresh() {
+        window.clearTimeout(_timer);
+        _timer = null;
+
+        if (!_panel || !_panel.isVisible()) {
+            return;
+        }
+
+        var editor = EditorManager.getActiveEditor(),
+            entries = [];
+
+        _editor = editor && editor.document.getLanguage().getId() === "mucow" ? editor : null;
+        if (_editor) {
+            entries = WidgetOutline.build(WidgetModel.getModel(_editor.document.getText()));
+        }
+
+        _$entries.empty();
+        entries.forEach(function (entry) {
+            $("<li>")
+                .addClass("mucow-outline-" + entry.kind)
+                .css("padding-left", entry.depth * 16 + 8)
+                .data("entry", entry)
+                .append($("<span class='mucow-outline-label'>").text(entry.label))
+                .append($("<span class='mucow-outline-detail'>").text(entry.detail))
+                .appendTo(_$entries);
+        });
+        _panel.$panel.toggleClass("empty", entries.length === 0);
+    }
+
+    /**
+     * @private
+     * Rebuilds the outline a little after the last edit
+     */
+    function _scheduleRefresh() {
+        window.clearTimeout(_timer);
+        _timer = window.setTimeout(_refresh, REFRESH_DELAY);
+    }
+
+    /**
+     * Creates the panel, hidden
+     */
+    function init() {
+        var $panel = $(panelHTML);
+
+        _panel = WorkspaceManager.createBottomPanel("mucow.outline", $panel, 100);
+        _$entries = $panel.find(".mucow-outline-entries");
+
+        $panel.on("click", ".close", function (event) {
+            event.preventDefault();
+            _panel.hide();
+            exports.trigger("visibilityChange", false);
+        });
+        $panel.on("click", ".mucow-outline-entries li", function () {
+            var index = $(this).index(),
+                entry,
+                cm;
+
+            // The outline may be a little behind the document
+            if (_timer) {
+                _refresh();
+            }
+            entry = _$entries.children().eq(index).data("entry");
+            if (_editor && entry) {
+                cm = _editor._codeMirror;
+                _editor.setSelection(cm.posFromIndex(entry.start), cm.posFromIndex(entry.end), true);
+                _editor.focus();
+            }
+        });
+
+        EditorManager.on("activeEditorChange", _refresh);
+        DocumentManager.on("documentChange", function (event, doc) {
+            if (_editor && doc === _editor.document) {
+                _scheduleRefresh();
+            }
+        });
+    }
+
+    /**
+     * Shows or hides the panel
+     * @param {boolean} show
+     */
+    function setVisible(show) {
+        _panel.setVisible(show);
+        if (show) {
+            _refresh();
+        }
+        exports.trigger("visibilityChange", show);
+    }
+
+    /**
+     * @return {boolean} whether the panel is showing
+     */
+    function isVisible() {
+        return _panel.isVisible();
+    }
+
+    exports.init        = init;
+    exports.setVisible  = setVisible;
+    exports.isVisible   = isVisible;
+});
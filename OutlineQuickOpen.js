@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+/**
+ * Quick Find Definition (Ctrl-Shift-O, or "@" in Quick Open) for MuCow
+ * files: lists the outline of the widget and jumps to the chosen entry.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var QuickOpen       = brackets.getModule("search/QuickOpen"),
+        EditorManager   = brackets.getModule("editor/EditorManager"),
+        StringUtils     = brackets.getModule("utils/StringUtils");
+
+    var WidgetModel     = require("WidgetModel"),
+        WidgetOutline   = require("WidgetOutline");
+
+    /**
+     * @private
+     * Returns the outline of the current document, in document order
+     */
+    function _entries() {
+        var editor = EditorManager.getCurrentFullEditor();
+        return editor ? WidgetOutline.build(WidgetModel.getModel(editor.document.getText())) : [];
+    }
+
+    /**
+     * @param {string} query - what the user typed, starting with "@"
+     * @param {!StringMatch.StringMatcher} matcher
+     * @return {Array.<SearchResult>}
+     */
+    function search(query, matcher) {
+        query = query.slice(query.indexOf("@") + 1);
+
+        var results = $.map(_entries(), function (entry) {
+            var result = matcher.match(entry.label, query);
+            if (result) {
+                result.outlineEntry = entry;
+            }
+            return result;
+        });
+
+        // Without a query the entries stay in document order, like an outline
+        if (query) {
+            QuickOpen.basicMatchSort(results);
+        }
+        return results;
+    }
+
+    /**
+     * @param {string} query
+     * @return {boolean} true for "@" queries
+     */
+    function match(query) {
+        return query[0] === "@";
+    }
+
+    /**
+     * Selects the entry in the editor
+     * @param {?SearchResult} selectedItem
+     */
+    function itemFocus(selectedItem) {
+        if (!selectedItem) {
+            return;
+        }
+        var editor = EditorManager.getCurrentFullEditor(),
+            entry = selectedItem.outlineEntry;
+
+        editor.setSelection(editor._codeMirror.posFromIndex(entry.start), editor._codeMirror.posFromIndex(entry.end), true);
+    }
+
+    /**
+     * @param {?SearchResult} selectedItem
+     */
+    function itemSelect(selectedItem) {
+        itemFocus(selectedItem);
+    }
+
+    /**
+     * Shows entries indented, with their type and label after the name
+     * @param {!SearchResult} item
+     * @return {string} HTML of the list item
+     */
+    function resultsFormatter(item) {
+        var entry = item.outlineEntry;
+
+        return "<li class='mucow-outline-" + entry.kind + "' style='padding-left: " + (entry.depth * 12 + 8) + "px'>" +
+            QuickOpen.highlightMatch(item) +
+            " <span class='mucow-outline-detail'>" + StringUtils.htmlEscape(entry.detail) + "</span></li>";
+    }
+
+    /**
+     * Registers the Quick Open plugin
+     */
+    function init() {
+        QuickOpen.addQuickOpenPlugin({
+            name: "MuCow Outline",
+            languageIds: ["mucow"],
+            search: search,
+            match: match,
+            itemFocus: itemFocus,
+            itemSelect: itemSelect,
+            resultsFormatter: resultsFormatter
+        });
+    }
+
+    exports.init = init;
+});
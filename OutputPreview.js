@@ -0,0 +1,156 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, window */
+
+/**
+ * Bottom panel showing the page a widget produces, rendered in a sandboxed
+ * frame or as source. Parameter values come from the Options panel preview
+ * when it is open, and from the defaultValues otherwise.
+ *
+ * Stand-ins for builtIn values are set with the "mucow.preview.builtIns"
+ * preference, e.g. {"width": 600, "pageTitle": "Home"}; the jQuery the page
+ * loads with "mucow.preview.jQueryURL" (empty for none).
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WorkspaceManager    = brackets.getModule("view/WorkspaceManager"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        DocumentManager     = brackets.getModule("document/DocumentManager"),
+        PreferencesManager  = brackets.getModule("preferences/PreferencesManager");
+
+    var WidgetModel         = require("WidgetModel"),
+        OutputRenderer      = require("OutputRenderer"),
+        OptionsPanel        = require("OptionsPanel"),
+        panelHTML           = require("text!htmlContent/output-preview.html");
+
+    // Delay after the last edit before the preview is rebuilt, in ms
+    var REFRESH_DELAY = 500;
+
+    var prefs = PreferencesManager.getExtensionPrefs("mucow.preview");
+
+    var _panel = null,
+        _showSource = false,
+        _timer = null;
+
+    /**
+     * Renders the widget in the current editor into the panel
+     */
+    function refresh() {
+        window.clearTimeout(_timer);
+        _timer = null;
+
+        if (!_panel || !_panel.isVisible()) {
+            return;
+        }
+
+        var $panel = _panel.$panel,
+            editor = EditorManager.getActiveEditor(),
+            doc = editor && editor.document.getLanguage().getId() === "mucow" ? editor.document : null,
+            $status = $panel.find(".mucow-preview-status"),
+            result;
+
+        if (!doc) {
+            $status.text("Open a MuCow file to preview its output");
+            $panel.find(".mucow-preview-frame").attr("srcdoc", "");
+            $panel.find(".mucow-preview-html").text("");
+            return;
+        }
+
+        result = OutputRenderer.render(WidgetModel.getModel(doc.getText()), OptionsPanel.getValues(doc), {
+            builtIns: prefs.get("builtIns"),
+            jQueryURL: prefs.get("jQueryURL")
+        });
+
+        $status.text(
+            (OptionsPanel.getValues(doc) ? "Values from the Options panel" : "Default values") +
+                (result.unknown.length ? " - unknown parameters: " + result.unknown.join(", ") : "")
+        );
+        $panel.find(".mucow-preview-frame").attr("srcdoc", result.html);
+        $panel.find(".mucow-preview-html").text(result.html);
+    }
+
+    /**
+     * @private
+     * Rebuilds the preview a little after the last change
+     */
+    function _scheduleRefresh() {
+        window.clearTimeout(_timer);
+        _timer = window.setTimeout(refresh, REFRESH_DELAY);
+    }
+
+    /**
+     * @private
+     * Switches between the rendered page and its source
+     */
+    function _updateMode() {
+        var $panel = _panel.$panel;
+        $panel.toggleClass("show-source", _showSource);
+        $panel.find(".mucow-preview-source").text(_showSource ? "Show Page" : "Show Source");
+    }
+
+    /**
+     * Creates the panel, hidden
+     */
+    function init() {
+        prefs.definePreference("builtIns", "object", {});
+        prefs.definePreference("jQueryURL", "string", OutputRenderer.JQUERY_URL);
+
+        var $panel = $(panelHTML);
+        _panel = WorkspaceManager.createBottomPanel("mucow.outputPreview", $panel, 150);
+
+        $panel.on("click", ".close", function (event) {
+            event.preventDefault();
+            _panel.hide();
+        });
+        $panel.on("click", ".mucow-preview-source", function () {
+            _showSource = !_showSource;
+            _updateMode();
+        });
+        _updateMode();
+
+        EditorManager.on("activeEditorChange", refresh);
+        DocumentManager.on("documentChange", function (event, doc) {
+            var editor = EditorManager.getActiveEditor();
+            if (editor && editor.document === doc) {
+                _scheduleRefresh();
+            }
+        });
+        OptionsPanel.on("change visibilityChange", _scheduleRefresh);
+        prefs.on("change", _scheduleRefresh);
+    }
+
+    /**
+     * Shows the panel with the output of the current widget
+     */
+    function show() {
+        _panel.show();
+        refresh();
+    }
+
+    exports.init    = init;
+    exports.show    = show;
+    exports.refresh = refresh;
+});
@@ -0,0 +1,273 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Produces the HTML page Muse would generate for a widget, given values for
+ * its parameters: placeholders are expanded, only the chosen trueVal,
+ * falseVal and list value branches contribute content, and the content
+ * sections are assembled into a single page.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var OptionsModel    = require("OptionsModel"),
+        AttributeValues = require("AttributeValues");
+
+    // Stand-ins for the values Muse supplies through <builtIn>
+    var DEFAULT_BUILT_INS = {
+        width: "300",
+        height: "200",
+        itemUID: "u1234",
+        siteUID: "site1234",
+        country: "US",
+        language: "en",
+        locale: "en_US",
+        siteDomain: "www.example.com",
+        siteURL: "http://www.example.com/",
+        pageTitle: "Widget Preview",
+        pageURL: "http://www.example.com/index.html"
+    };
+
+    // Muse pages load this version of jQuery, which documentReadyJS relies on
+    var JQUERY_URL = "https://code.jquery.com/jquery-1.8.3.min.js";
+
+    // Option elements whose content is only output when chosen
+    var OPTION_TAGS = ["trueVal", "falseVal", "value"];
+
+    // Regex to find {param_*} placeholders.
+    var regexPlaceholder = /\{param_([\w\-]+)\}/g;
+
+    /**
+     * @private
+     * Escapes text for use in HTML
+     */
+    function _escape(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Applies the paramEncoding of a text parameter
+     * @param {string} value
+     * @param {?string} encoding - "URIComponent", "spaceToPlus" or null
+     * @return {string}
+     */
+    function encode(value, encoding) {
+        if (encoding === "URIComponent") {
+            return encodeURIComponent(value);
+        }
+        if (encoding === "spaceToPlus") {
+            return value.replace(/ /g, "+");
+        }
+        return value;
+    }
+
+    /**
+     * Works out what every parameter outputs
+     *
+     * @param {!WidgetModel} model
+     * @param {?Object.<string, string>} values - values from the Options panel;
+     *      parameters without one use their defaultValue
+     * @param {?Object.<string, string>} builtIns - stand-ins for builtIn values,
+     *      on top of the defaults
+     * @return {{output: Object.<string, string>, values: Object.<string, string>, chosen: Array.<XMLNode>}}
+     *      the placeholder substitutions, the raw value of each parameter, and
+     *      the chosen option elements
+     */
+    function resolveParameters(model, values, builtIns) {
+        var items = OptionsModel.build(model),
+            raw = OptionsModel.initialValues(items, values),
+            stand = {},
+            controls = {},
+            output = {},
+            chosen = [];
+
+        Object.keys(DEFAULT_BUILT_INS).forEach(function (key) {
+            stand[key] = DEFAULT_BUILT_INS[key];
+        });
+        if (model.root) {
+            stand.width = model.root.getAttributeValue("defaultWidth") || stand.width;
+            stand.height = model.root.getAttributeValue("defaultHeight") || stand.height;
+        }
+        Object.keys(builtIns || {}).forEach(function (key) {
+            stand[key] = String(builtIns[key]);
+        });
+
+        OptionsModel.forEachControl(items, function (control) {
+            var option = OptionsModel.selectedOption(control, raw[control.name]);
+            if (option) {
+                chosen.push(option.node);
+            }
+            if (control.name && !controls.hasOwnProperty(control.name)) {
+                controls[control.name] = control;
+            }
+        });
+
+        model.parameters.forEach(function (param) {
+            var node = param.node,
+                value = raw[param.name],
+                option;
+
+            switch (param.type) {
+            case "builtIn":
+                value = stand.hasOwnProperty(param.name) ? stand[param.name] : "";
+                raw[param.name] = value;
+                break;
+            case "text":
+                value = encode(value || "", node.getAttributeValue("paramEncoding"));
+                break;
+            case "bool":
+            case "list":
+                option = controls.hasOwnProperty(param.name) && OptionsModel.selectedOption(controls[param.name], value);
+                value = option ? (param.type === "bool" ? option.value : option.name) : "";
+                break;
+            case "color":
+                value = AttributeValues.outputColor(node, value);
+                break;
+            }
+
+            if (!output.hasOwnProperty(param.name)) {
+                output[param.name] = value === null || value === undefined ? "" : String(value);
+            }
+        });
+
+        return { output: output, values: raw, chosen: chosen };
+    }
+
+    /**
+     * Expands the placeholders of a text
+     * @param {string} text
+     * @param {!Object.<string, string>} output - from resolveParameters()
+     * @param {!Array.<string>} unknown - receives the names that have no parameter
+     * @return {string}
+     */
+    function substitute(text, output, unknown) {
+        return text.replace(regexPlaceholder, function (match, name) {
+            if (output.hasOwnProperty(name)) {
+                return output[name];
+            }
+            if (unknown.indexOf(name) === -1) {
+                unknown.push(name);
+            }
+            return match;
+        });
+    }
+
+    /**
+     * @private
+     * Collects the content of each section that is output: top level ones,
+     * and those inside chosen options
+     * @return {Object.<string, Array.<string>>} content by section name
+     */
+    function _collectSections(model, chosen) {
+        var sections = {};
+
+        if (!model.root) {
+            return sections;
+        }
+
+        model.root.walk(function (node) {
+            if (node.type !== "element") {
+                return;
+            }
+            if (OPTION_TAGS.indexOf(node.name) !== -1 && chosen.indexOf(node) === -1) {
+                return false;
+            }
+            if (model.contentSections.indexOf(node) !== -1) {
+                (sections[node.name] = sections[node.name] || []).push(node.textContent());
+                return false;
+            }
+        });
+        return sections;
+    }
+
+    /**
+     * Renders the page for a widget
+     *
+     * @param {!WidgetModel} model
+     * @param {?Object.<string, string>} values - values from the Options panel
+     * @param {?{builtIns: Object.<string, string>, jQueryURL: string}} options
+     * @return {{html: string, unknown: Array.<string>}} the page, and the
+     *      placeholders that don't match a parameter
+     */
+    function render(model, values, options) {
+        options = options || {};
+
+        var params = resolveParameters(model, values, options.builtIns),
+            sections = _collectSections(model, params.chosen),
+            unknown = [],
+            jQueryURL = options.hasOwnProperty("jQueryURL") ? options.jQueryURL : JQUERY_URL;
+
+        function section(name) {
+            return substitute((sections[name] || []).join("\n"), params.output, unknown);
+        }
+
+        var width = params.values.width || model.root && model.root.getAttributeValue("defaultWidth") || DEFAULT_BUILT_INS.width,
+            height = params.values.height || model.root && model.root.getAttributeValue("defaultHeight") || DEFAULT_BUILT_INS.height,
+            itemUID = params.values.itemUID || DEFAULT_BUILT_INS.itemUID,
+            pageTitle = params.values.pageTitle || DEFAULT_BUILT_INS.pageTitle,
+            readyJS = section("documentReadyJS"),
+            html = [];
+
+        html.push("<!DOCTYPE html>");
+        html.push("<html>");
+        html.push("<head>");
+        html.push("<meta charset=\"utf-8\">");
+        html.push("<title>" + _escape(pageTitle) + "</title>");
+        if (jQueryURL) {
+            html.push("<script src=\"" + _escape(jQueryURL) + "\"></script>");
+        }
+        html.push(section("headHTML"));
+        html.push("</head>");
+        html.push("<body>");
+        html.push(section("bodyBeginHTML"));
+        html.push("<div id=\"" + _escape(itemUID) + "\" style=\"position: relative; width: " +
+                  _escape(width) + "px; height: " + _escape(height) + "px;\">");
+        html.push(section("pageItemHTML"));
+        html.push("</div>");
+        html.push(section("bodyEndHTML"));
+        if (readyJS.trim()) {
+            // Muse runs documentReadyJS from a jQuery ready handler
+            html.push("<script>");
+            html.push("(function (ready) {");
+            html.push("    if (window.jQuery) { window.jQuery(ready); } else { document.addEventListener(\"DOMContentLoaded\", ready); }");
+            html.push("}(function () {");
+            html.push(readyJS.replace(/<\/script/gi, "<\\/script"));
+            html.push("}));");
+            html.push("</script>");
+        }
+        html.push("</body>");
+        html.push("</html>");
+
+        return { html: html.join("\n"), unknown: unknown };
+    }
+
+    exports.DEFAULT_BUILT_INS   = DEFAULT_BUILT_INS;
+    exports.JQUERY_URL          = JQUERY_URL;
+    exports.encode              = encode;
+    exports.resolveParameters   = resolveParameters;
+    exports.substitute          = substitute;
+    exports.render              = render;
+});
@@ -0,0 +1,166 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, $ */
+
+define(function (require, exports) {
+    "use strict";
+
+    var WidgetModel = require("WidgetModel");
+
+    // Regex to find a partially typed placeholder just before the cursor.
+    var regexPartialPlaceholder = /\{([\w\-]*)$/;
+
+    /**
+     * @constructor
+     * Offers {param_*} placeholders for the parameters declared in the
+     * document while typing inside a content section.
+     */
+    function ParameterHints() {
+    }
+
+    /**
+     * @private
+     * Looks back from the cursor for an opening brace
+     * @return {?{start: {line: number, ch: number}, query: string}}
+     */
+    ParameterHints.prototype._getQuery = function () {
+        var cursor = this.editor.getCursorPos(),
+            lineText = this.editor.document.getLine(cursor.line).substr(0, cursor.ch),
+            match = regexPartialPlaceholder.exec(lineText);
+
+        if (!match) {
+            return null;
+        }
+        return {
+            start: { line: cursor.line, ch: cursor.ch - match[0].length },
+            query: match[1]
+        };
+    };
+
+    /**
+     * Determines whether placeholder hints are available in the current
+     * editor context.
+     *
+     * @param {Editor} editor
+     * A non-null editor object for the active window.
+     *
+     * @return {boolean}
+     * Whether the cursor is inside a content section, just after a "{".
+     */
+    ParameterHints.prototype.hasHints = function (editor) {
+        this.editor = editor;
+
+        // Whether typed or explicitly requested, hints only make sense after a "{"
+        if (editor.document.getLanguage().getId() !== "mucow" || !this._getQuery()) {
+            return false;
+        }
+
+        this.model = WidgetModel.getModel(editor.document.getText());
+        return this.model.contentSectionAt(editor.indexFromPos(editor.getCursorPos())) !== null &&
+            this.model.parameters.length > 0;
+    };
+
+    /**
+     * Returns the list of placeholders matching what has been typed after
+     * the opening brace. Each hint shows the parameter type and label.
+     *
+     * @return {{hints: Array.<jQueryObject>, match: string, selectInitial: boolean, handleWideResults: boolean}}
+     * Null if the cursor has moved out of a placeholder.
+     */
+    ParameterHints.prototype.getHints = function () {
+        var query = this._getQuery(),
+            seen = {},
+            hints;
+
+        if (!query) {
+            return null;
+        }
+
+        this.model = WidgetModel.getModel(this.editor.document.getText());
+
+        hints = $.map(this.model.parameters, function (param) {
+            var token = WidgetModel.PLACEHOLDER_PREFIX + param.name,
+                detail = param.type;
+
+            if (seen[param.name] || (token.indexOf(query.query) !== 0 && param.name.indexOf(query.query) !== 0)) {
+                return;
+            }
+            seen[param.name] = true;
+
+            if (param.label) {
+                detail += " - " + param.label;
+            }
+
+            var $hint = $("<span>")
+                .addClass("mucow-param-hint")
+                .text("{" + token + "}")
+                .data("placeholder", "{" + token + "}");
+
+            $("<span>")
+                .addClass("mucow-hint-detail")
+                .text(detail)
+                .appendTo($hint);
+
+            return $hint;
+        }).sort(function (a, b) {
+            return a.data("placeholder").localeCompare(b.data("placeholder"));
+        });
+
+        // A bare "{" is common in JavaScript, so don't let Enter pick a
+        // placeholder until something has been typed after it
+        return {
+            hints: hints,
+            match: query.query,
+            selectInitial: query.query.length > 0,
+            handleWideResults: false
+        };
+    };
+
+    /**
+     * Replaces the partially typed placeholder, and any remainder of it
+     * after the cursor, with the chosen one.
+     *
+     * @param {jQueryObject} hint
+     * The hint to be inserted into the editor context.
+     *
+     * @return {boolean}
+     * Indicates whether the manager should follow hint insertion with an
+     * additional explicit hint request.
+     */
+    ParameterHints.prototype.insertHint = function (hint) {
+        var query = this._getQuery(),
+            cursor = this.editor.getCursorPos(),
+            rest = this.editor.document.getLine(cursor.line).substr(cursor.ch),
+            tail = /^[\w\-]*\}?/.exec(rest)[0],
+            end = { line: cursor.line, ch: cursor.ch + tail.length };
+
+        if (query) {
+            this.editor.document.replaceRange(hint.data("placeholder"), query.start, end);
+        }
+        return false;
+    };
+
+    exports.ParameterHints = ParameterHints;
+});
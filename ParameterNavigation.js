@@ -0,0 +1,195 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+/**
+ * Jump to Definition, Quick Edit and rename for parameter and section names.
+ * Jump to Definition on a placeholder or disableOptions entry selects the
+ * name in its declaration; Quick Edit lists the declaration and every use.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var EditorManager           = brackets.getModule("editor/EditorManager"),
+        MultiRangeInlineEditor  = brackets.getModule("editor/MultiRangeInlineEditor").MultiRangeInlineEditor,
+        Dialogs                 = brackets.getModule("widgets/Dialogs"),
+        DefaultDialogs          = brackets.getModule("widgets/DefaultDialogs");
+
+    var WidgetModel             = require("WidgetModel"),
+        ParameterReferences     = require("ParameterReferences"),
+        QuickFixMenu            = require("QuickFixMenu");
+
+    /**
+     * @private
+     * Finds the name under the cursor of a MuCow editor
+     * @param {?Editor} editor
+     * @param {?{line: number, ch: number}} pos - defaults to the cursor
+     * @return {?{model: WidgetModel, ref: Object}}
+     */
+    function _referenceAt(editor, pos) {
+        if (!editor || editor.document.getLanguage().getId() !== "mucow") {
+            return null;
+        }
+
+        var model = WidgetModel.getModel(editor.document.getText()),
+            ref = ParameterReferences.referenceAt(model, editor.indexFromPos(pos || editor.getCursorPos()));
+
+        return ref ? { model: model, ref: ref } : null;
+    }
+
+    /**
+     * @private
+     * Describes a reference for the list of the inline editor
+     */
+    function _describe(ref) {
+        switch (ref.kind) {
+        case "placeholder":
+            return "{param_" + ref.name + "} in <" + ref.node.name + ">";
+        case "disableOptions":
+            var option = ref.node.getAttributeValue("name") || ref.node.getAttributeValue("value");
+            return "disableOptions of <" + ref.node.name + (option ? " " + option : "") + ">";
+        default:
+            return "<" + ref.node.name + " name=\"" + ref.name + "\">";
+        }
+    }
+
+    /**
+     * Jump to Definition provider: selects the declaration of the parameter
+     * or section named at the cursor
+     * @return {?$.Promise} null when the cursor isn't on a use of a name
+     */
+    function jumpToDefinition() {
+        var editor = EditorManager.getActiveEditor(),
+            found = _referenceAt(editor, null);
+
+        if (!found || ParameterReferences.isDeclaration(found.ref)) {
+            return null;
+        }
+
+        var declaration = ParameterReferences.findReferences(found.model, found.ref.name)
+            .filter(ParameterReferences.isDeclaration)[0];
+
+        if (!declaration) {
+            return new $.Deferred().reject().promise();
+        }
+
+        editor.setSelection(editor._codeMirror.posFromIndex(declaration.start),
+                            editor._codeMirror.posFromIndex(declaration.end), true);
+        return new $.Deferred().resolve().promise();
+    }
+
+    /**
+     * Quick Edit provider: lists the declaration and the uses of the
+     * parameter or section named at a position
+     * @param {!Editor} hostEditor
+     * @param {!{line: number, ch: number}} pos
+     * @return {?$.Promise} resolved with the inline editor, or null when
+     *      there is no name at the position
+     */
+    function inlineEditProvider(hostEditor, pos) {
+        var found = _referenceAt(hostEditor, pos);
+
+        if (!found) {
+            return null;
+        }
+
+        var doc = hostEditor.document,
+            cm = hostEditor._codeMirror,
+            ranges = ParameterReferences.findReferences(found.model, found.ref.name).map(function (ref) {
+                var node = ref.kind === "placeholder" ? null : ref.node;
+                return {
+                    name: _describe(ref),
+                    document: doc,
+                    // Declarations and options are shown whole, placeholders by line
+                    lineStart: cm.posFromIndex(node ? node.start : ref.start).line,
+                    lineEnd: cm.posFromIndex(node ? node.end : ref.end).line
+                };
+            }),
+            inlineEditor = new MultiRangeInlineEditor(ranges);
+
+        inlineEditor.load(hostEditor);
+        return new $.Deferred().resolve(inlineEditor).promise();
+    }
+
+    /**
+     * Asks for a new name for the parameter or section at the cursor and
+     * renames its declaration and every use, as a single undo step
+     */
+    function rename() {
+        var editor = EditorManager.getActiveEditor(),
+            found = _referenceAt(editor, null);
+
+        if (!found) {
+            Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_INFO, "Rename Parameter",
+                "Put the cursor on a parameter or section name, a {param_*} placeholder or a disableOptions entry.");
+            return;
+        }
+
+        var problem = ParameterReferences.checkRename(found.model, found.ref.name);
+        if (problem) {
+            Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_ERROR, "Rename Parameter", $("<div>").text(problem).html());
+            return;
+        }
+
+        var name = found.ref.name,
+            $message = $("<div>")
+                .append($("<p>").text("New name for '" + name + "':"))
+                .append($("<input type='text' class='mucow-rename-input'>")),
+            dialog = Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_INFO, "Rename Parameter", $message.html(), [
+                { className: Dialogs.DIALOG_BTN_CLASS_NORMAL, id: Dialogs.DIALOG_BTN_CANCEL, text: "Cancel" },
+                { className: Dialogs.DIALOG_BTN_CLASS_PRIMARY, id: Dialogs.DIALOG_BTN_OK, text: "Rename" }
+            ]),
+            $input = dialog.getElement().find(".mucow-rename-input");
+
+        $input.val(name).focus().select();
+
+        dialog.done(function (buttonId) {
+            var newName = $input.val().trim();
+
+            if (buttonId !== Dialogs.DIALOG_BTN_OK || newName === name) {
+                return;
+            }
+
+            // The document may have changed while the dialog was open
+            var model = WidgetModel.getModel(editor.document.getText()),
+                problem = ParameterReferences.checkNewName(model, name, newName);
+
+            if (problem) {
+                Dialogs.showModalDialog(DefaultDialogs.DIALOG_ID_ERROR, "Rename Parameter", $("<div>").text(problem).html());
+                return;
+            }
+
+            QuickFixMenu.apply(editor, {
+                label: "Rename " + name,
+                edits: ParameterReferences.renameEdits(model, name, newName)
+            });
+        });
+    }
+
+    exports.jumpToDefinition    = jumpToDefinition;
+    exports.inlineEditProvider  = inlineEditProvider;
+    exports.rename              = rename;
+});
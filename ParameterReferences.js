@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Finds where parameter and section names are declared and used: the name
+ * attributes under <parameters>, the {param_*} placeholders of the content
+ * sections and the entries of disableOptions lists.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WidgetModel = require("WidgetModel");
+
+    // Names that can be used in a placeholder
+    var regexName = /^[\w\-]+$/;
+
+    /**
+     * Splits a disableOptions attribute into names with their offsets
+     * @param {!WidgetModel} model
+     * @param {!{valueStart: number, valueEnd: number}} attr
+     * @return {Array.<{name: string, start: number, end: number}>}
+     */
+    function optionEntries(model, attr) {
+        var raw = model.text.substring(attr.valueStart, attr.valueEnd),
+            regexEntry = /[^,\s][^,]*/g,
+            names = [],
+            match;
+
+        while ((match = regexEntry.exec(raw)) !== null) {
+            var name = match[0].replace(/\s+$/, "");
+            names.push({ name: name, start: attr.valueStart + match.index, end: attr.valueStart + match.index + name.length });
+        }
+        return names;
+    }
+
+    /**
+     * Lists every declaration and use of every name, in document order
+     * @param {!WidgetModel} model
+     * @return {Array.<{kind: string, name: string, start: number, end: number, node: XMLNode}>}
+     *      kind is "parameter", "section", "placeholder" or "disableOptions";
+     *      the range covers the name only
+     */
+    function allReferences(model) {
+        var refs = [];
+
+        function declaration(kind) {
+            return function (item) {
+                if (item.nameAttr && item.nameAttr.valueStart !== -1) {
+                    refs.push({ kind: kind, name: item.name, start: item.nameAttr.valueStart, end: item.nameAttr.valueEnd, node: item.node });
+                }
+            };
+        }
+
+        model.parameters.forEach(declaration("parameter"));
+        model.sections.forEach(declaration("section"));
+
+        model.placeholders.forEach(function (placeholder) {
+            // Inside the braces, after the prefix
+            var start = placeholder.start + 1 + WidgetModel.PLACEHOLDER_PREFIX.length;
+            refs.push({ kind: "placeholder", name: placeholder.name, start: start, end: placeholder.end - 1, node: placeholder.section });
+        });
+
+        model.parameters.forEach(function (param) {
+            param.node.childElements().forEach(function (option) {
+                var attr = option.getAttribute("disableOptions");
+                if (attr && attr.valueStart !== -1) {
+                    optionEntries(model, attr).forEach(function (entry) {
+                        refs.push({ kind: "disableOptions", name: entry.name, start: entry.start, end: entry.end, node: option });
+                    });
+                }
+            });
+        });
+
+        return refs.sort(function (a, b) {
+            return a.start - b.start;
+        });
+    }
+
+    /**
+     * Returns the declaration or use of a name at an offset
+     * @param {!WidgetModel} model
+     * @param {number} offset
+     * @return {?{kind: string, name: string, start: number, end: number, node: XMLNode}}
+     */
+    function referenceAt(model, offset) {
+        return allReferences(model).filter(function (ref) {
+            return ref.start <= offset && offset <= ref.end;
+        })[0] || null;
+    }
+
+    /**
+     * Lists the declarations and uses of a name, in document order
+     * @param {!WidgetModel} model
+     * @param {string} name
+     * @return {Array.<{kind: string, name: string, start: number, end: number, node: XMLNode}>}
+     */
+    function findReferences(model, name) {
+        return allReferences(model).filter(function (ref) {
+            return ref.name === name;
+        });
+    }
+
+    /**
+     * @param {!Object} ref - from findReferences()
+     * @return {boolean} whether the reference declares its name
+     */
+    function isDeclaration(ref) {
+        return ref.kind === "parameter" || ref.kind === "section";
+    }
+
+    /**
+     * Works out the edits that rename a parameter or section everywhere
+     * @param {!WidgetModel} model
+     * @param {string} name - current name
+     * @param {string} newName
+     * @return {Array.<{start: number, end: number, text: string}>}
+     */
+    function renameEdits(model, name, newName) {
+        return findReferences(model, name).map(function (ref) {
+            return { start: ref.start, end: ref.end, text: newName };
+        });
+    }
+
+    /**
+     * Checks that a name can be renamed at all: the name of a <builtIn> is
+     * one of the values Muse provides, fixed by the schema
+     * @param {!WidgetModel} model
+     * @param {string} name
+     * @return {?string} why the name can't be renamed, null if it can
+     */
+    function checkRename(model, name) {
+        if (findReferences(model, name).some(function (ref) {
+                return isDeclaration(ref) && ref.node.name === "builtIn";
+            })) {
+            return "'" + name + "' is a builtIn value provided by Muse and can't be renamed";
+        }
+        return null;
+    }
+
+    /**
+     * Checks a new name for a parameter or section
+     * @param {!WidgetModel} model
+     * @param {string} name - current name
+     * @param {string} newName
+     * @return {?string} why the name can't be used, null if it can
+     */
+    function checkNewName(model, name, newName) {
+        var problem = checkRename(model, name);
+
+        if (problem) {
+            return problem;
+        }
+        if (!regexName.test(newName)) {
+            return "'" + newName + "' can't be used in a {" + WidgetModel.PLACEHOLDER_PREFIX +
+                "*} placeholder; use letters, digits, '_' and '-' only";
+        }
+        if (newName !== name && allReferences(model).some(function (ref) {
+                return isDeclaration(ref) && ref.name === newName;
+            })) {
+            return "'" + newName + "' is already declared";
+        }
+        return null;
+    }
+
+    exports.optionEntries   = optionEntries;
+    exports.allReferences   = allReferences;
+    exports.referenceAt     = referenceAt;
+    exports.findReferences  = findReferences;
+    exports.isDeclaration   = isDeclaration;
+    exports.renameEdits     = renameEdits;
+    exports.checkRename     = checkRename;
+    exports.checkNewName    = checkNewName;
+});
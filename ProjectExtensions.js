@@ -0,0 +1,229 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, console */
+
+/**
+ * Loads the grammar extensions of the current project (see
+ * SchemaExtensions) from the "mucow.extensions" preferences and from
+ * .mucow.json at the project root, the file winning over the preferences.
+ * They are loaded again when the project, the preferences, the file or one
+ * of the schemas it names changes.
+ *
+ * Triggers "change" once the extensions have been (re)loaded.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var FileSystem          = brackets.getModule("filesystem/FileSystem"),
+        FileSystemError     = brackets.getModule("filesystem/FileSystemError"),
+        FileUtils           = brackets.getModule("file/FileUtils"),
+        ProjectManager      = brackets.getModule("project/ProjectManager"),
+        PreferencesManager  = brackets.getModule("preferences/PreferencesManager"),
+        EventDispatcher     = brackets.getModule("utils/EventDispatcher");
+
+    var SchemaExtensions    = require("SchemaExtensions");
+
+    var prefs = PreferencesManager.getExtensionPrefs("mucow.extensions");
+
+    var _config = SchemaExtensions.normalize(null),
+        _files = {},
+        _watched = [],      // full paths whose changes reload the extensions
+        _generation = 0;
+
+    EventDispatcher.makeEventDispatcher(exports);
+
+    /**
+     * @private
+     * Resolves a path from the configuration against the project root
+     * @return {?string} null without a project
+     */
+    function _fullPath(path) {
+        var root = ProjectManager.getProjectRoot();
+
+        if (FileSystem.isAbsolutePath(path)) {
+            return path;
+        }
+        return root ? root.fullPath + path : null;
+    }
+
+    /**
+     * @private
+     * Reads a file
+     * @return {$.Promise} resolved with the text, or null if the file can't be read
+     */
+    function _read(fullPath) {
+        var deferred = new $.Deferred();
+
+        FileUtils.readAsText(FileSystem.getFileForPath(fullPath))
+            .done(function (text) {
+                deferred.resolve(text);
+            })
+            .fail(function (error) {
+                if (error !== FileSystemError.NOT_FOUND) {
+                    console.warn("MuCow: can't read " + fullPath, error);
+                }
+                deferred.resolve(null);
+            });
+        return deferred.promise();
+    }
+
+    /**
+     * Loads the extensions again. A load started later supersedes one still
+     * reading its files.
+     */
+    function reload() {
+        var generation = ++_generation,
+            configPath = _fullPath(SchemaExtensions.CONFIG_FILE),
+            configs = [],
+            watched = configPath ? [configPath] : [],
+            files = {};
+
+        try {
+            configs.push(SchemaExtensions.normalize({
+                tags: prefs.get("tags"),
+                attributes: prefs.get("attributes"),
+                schema: prefs.get("schema"),
+                supplementalSchema: prefs.get("supplementalSchema")
+            }));
+        } catch (e) {
+            console.warn("MuCow: ignoring the mucow.extensions preferences: " + e.message);
+        }
+
+        var configRead = configPath ? _read(configPath) : new $.Deferred().resolve(null).promise();
+
+        configRead.then(function (text) {
+            if (text !== null) {
+                try {
+                    configs.push(SchemaExtensions.parseConfig(text));
+                } catch (e) {
+                    console.warn("MuCow: ignoring " + configPath + ": " + e.message);
+                }
+            }
+
+            var config = SchemaExtensions.combine(configs);
+
+            var reads = SchemaExtensions.schemaFiles(config).map(function (path) {
+                var fullPath = _fullPath(path);
+                if (!fullPath) {
+                    return null;
+                }
+                watched.push(fullPath);
+                return _read(fullPath).done(function (schemaText) {
+                    if (schemaText === null) {
+                        console.warn("MuCow: schema " + fullPath + " not found, it is left out");
+                    } else {
+                        files[path] = schemaText;
+                    }
+                });
+            });
+
+            return $.when.apply($, reads).then(function () {
+                return config;
+            });
+        }).done(function (config) {
+            if (generation !== _generation) {
+                return;
+            }
+            _config = config;
+            _files = files;
+            _watched = watched;
+            exports.trigger("change");
+        });
+    }
+
+    /**
+     * Builds the schema to validate with
+     * @param {!string} xsdText - source of the bundled mucow.xsd
+     * @return {string}
+     */
+    function schemaText(xsdText) {
+        return SchemaExtensions.schemaText(xsdText, _config, _files);
+    }
+
+    /**
+     * Names the project schemas used, for messages
+     * @return {?string} null when only mucow.xsd is used
+     */
+    function schemaSource() {
+        return SchemaExtensions.schemaSource(_config, _files,
+            SchemaExtensions.CONFIG_FILE + " or the mucow.extensions preferences");
+    }
+
+    /**
+     * Returns the overlay for the hint tables
+     * @return {{tags: Object, attributes: Object}}
+     */
+    function overlay() {
+        return SchemaExtensions.overlay(_config);
+    }
+
+    /**
+     * @private
+     * Whether a file system change concerns the configuration or its schemas
+     */
+    function _isWatched(entry, added, removed) {
+        if (!entry) {
+            return true;
+        }
+        if (entry.isFile) {
+            return _watched.indexOf(entry.fullPath) !== -1;
+        }
+        return (added || []).concat(removed || []).some(function (child) {
+            return _watched.indexOf(child.fullPath) !== -1;
+        });
+    }
+
+    /**
+     * Defines the preferences and loads the extensions of the current project
+     */
+    function init() {
+        prefs.definePreference("tags", "object", {});
+        prefs.definePreference("attributes", "object", {});
+        prefs.definePreference("schema", "string", null);
+        prefs.definePreference("supplementalSchema", "array", []);
+
+        FileSystem.on("change", function (event, entry, added, removed) {
+            if (_isWatched(entry, added, removed)) {
+                reload();
+            }
+        });
+        FileSystem.on("rename", function (event, oldPath, newPath) {
+            if (_watched.indexOf(oldPath) !== -1 || _watched.indexOf(newPath) !== -1) {
+                reload();
+            }
+        });
+        ProjectManager.on("projectOpen", reload);
+        prefs.on("change", reload);
+
+        reload();
+    }
+
+    exports.init            = init;
+    exports.reload          = reload;
+    exports.schemaText      = schemaText;
+    exports.schemaSource    = schemaSource;
+    exports.overlay         = overlay;
+});
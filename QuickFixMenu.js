@@ -0,0 +1,143 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, $ */
+
+/**
+ * Pop-up list of the quick fixes available for an error, shown at the
+ * cursor. Picking an entry applies its edits as a single undo step.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var _$menu = null;
+
+    /**
+     * Applies the edits of a fix to an editor
+     * @param {!Editor} editor
+     * @param {!{label: string, edits: Array.<{start: number, end: number, text: string}>}} fix
+     */
+    function apply(editor, fix) {
+        var doc = editor.document,
+            cm = editor._codeMirror;
+
+        // Later edits first, so the offsets of the earlier ones stay valid
+        var edits = fix.edits.slice().sort(function (a, b) {
+            return b.start - a.start;
+        });
+
+        doc.batchOperation(function () {
+            edits.forEach(function (edit) {
+                doc.replaceRange(edit.text, cm.posFromIndex(edit.start), cm.posFromIndex(edit.end));
+            });
+        });
+    }
+
+    /**
+     * Closes the menu, if open
+     */
+    function close() {
+        if (_$menu) {
+            var $menu = _$menu;
+            _$menu = null;
+            $menu.remove();
+        }
+    }
+
+    /**
+     * Shows the fixes at the cursor of an editor
+     *
+     * @param {!Editor} editor
+     * @param {!Array.<{label: string, edits: Array}>} fixes
+     */
+    function show(editor, fixes) {
+        close();
+        if (!fixes.length) {
+            return;
+        }
+
+        var cm = editor._codeMirror,
+            coords = cm.cursorCoords(null, "page"),
+            selected = 0,
+            $items;
+
+        function select(index) {
+            selected = (index + fixes.length) % fixes.length;
+            $items.removeClass("selected").eq(selected).addClass("selected");
+        }
+
+        function pick(index) {
+            close();
+            apply(editor, fixes[index]);
+            editor.focus();
+        }
+
+        _$menu = $("<ul>")
+            .addClass("dropdown-menu mucow-quickfix-menu")
+            .attr("tabindex", -1)
+            .css({ left: coords.left, top: coords.bottom + 2 });
+
+        fixes.forEach(function (fix, index) {
+            $("<li>")
+                .append($("<a>").text(fix.label))
+                .on("mousedown", function (event) {
+                    event.preventDefault();
+                    pick(index);
+                })
+                .appendTo(_$menu);
+        });
+        $items = _$menu.children("li");
+        select(0);
+
+        _$menu
+            .on("keydown", function (event) {
+                switch (event.keyCode) {
+                case 38: // up
+                    select(selected - 1);
+                    break;
+                case 40: // down
+                    select(selected + 1);
+                    break;
+                case 13: // enter
+                    pick(selected);
+                    break;
+                case 27: // escape
+                    close();
+                    editor.focus();
+                    break;
+                default:
+                    return;
+                }
+                event.preventDefault();
+                event.stopPropagation();
+            })
+            .on("blur", close)
+            .appendTo("body")
+            .focus();
+    }
+
+    exports.show    = show;
+    exports.apply   = apply;
+    exports.close   = close;
+});
@@ -0,0 +1,247 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Turns the common xmllint schema errors into fix actions. A fix is a label
+ * and a list of edits, each replacing the text between two offsets.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var XMLParser       = require("XMLParser"),
+        ContentModel    = require("ContentModel"),
+        TagSnippets     = require("TagSnippets");
+
+    // xmllint messages, after the "file.xml:line:" prefix
+    var regexMissingAttr    = /Element '([\w\-]+)': The attribute '([\w\-]+)' is required but missing/,
+        regexBadValue       = /Element '([\w\-]+)', attribute '([\w\-]+)': .*(?:is not an element of the set|is not a valid value)/,
+        regexAttrNotAllowed = /Element '([\w\-]+)', attribute '([\w\-]+)': The attribute '[\w\-]+' is not allowed/,
+        regexNotExpected    = /Element '([\w\-]+)': This element is not expected\.(?: Expected is (?:one of )?\( ([^)]*) \))?/,
+        regexMissingChild   = /Element '([\w\-]+)': Missing child element\(s\)\. Expected is (?:one of )?\( ([^)]*) \)/;
+
+    /**
+     * @private
+     * Splits the "a, b, c" list of an "Expected is" clause
+     * @param {?string} list
+     * @return {Array.<string>}
+     */
+    function _expectedNames(list) {
+        return (list || "").split(",").map(function (name) {
+            return name.trim();
+        }).filter(function (name) {
+            return (/^[\w\-]+$/).test(name);
+        });
+    }
+
+    /**
+     * @private
+     * Offset where a new attribute can be appended to a start tag
+     * @param {!XMLNode} node
+     * @param {string} text - document text
+     * @return {number}
+     */
+    function _attributeInsertOffset(node, text) {
+        var last = node.attributes[node.attributes.length - 1],
+            offset = last ? (last.valueEnd === -1 ? last.end : last.valueEnd + 1) : node.start + 1 + node.name.length;
+
+        return Math.min(offset, node.openEnd === -1 ? text.length : node.openEnd);
+    }
+
+    /**
+     * @private
+     * Fixes that replace the value of an attribute
+     */
+    function _replaceValueFixes(node, attrName, values) {
+        var attr = node.getAttribute(attrName);
+
+        if (!attr || attr.valueStart === -1) {
+            return [];
+        }
+        return values.filter(function (value) {
+            return value !== attr.value;
+        }).map(function (value) {
+            return {
+                label: "Change " + attrName + " to \"" + value + "\"",
+                edits: [{ start: attr.valueStart, end: attr.valueEnd, text: value }]
+            };
+        });
+    }
+
+    /**
+     * @private
+     * Fixes that rename an element, in both its start and end tag
+     */
+    function _renameFixes(node, names) {
+        return names.filter(function (name) {
+            return name !== node.name;
+        }).map(function (name) {
+            var edits = [{ start: node.start + 1, end: node.start + 1 + node.name.length, text: name }];
+            if (node.closeStart !== -1) {
+                edits.push({ start: node.closeStart + 2, end: node.closeStart + 2 + node.name.length, text: name });
+            }
+            return { label: "Rename <" + node.name + "> to <" + name + ">", edits: edits };
+        });
+    }
+
+    /**
+     * @private
+     * Returns the indentation of the line an offset is on
+     */
+    function _lineIndent(text, offset) {
+        var lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+        return (/^[ \t]*/).exec(text.substr(lineStart))[0];
+    }
+
+    /**
+     * @private
+     * Fixes that add one of the missing children at the end of an element
+     */
+    function _insertChildFixes(node, names, schema, text) {
+        if (node.selfClosing || node.closeStart === -1) {
+            return [];
+        }
+
+        var indent = _lineIndent(text, node.start),
+            parentIndent = node.parent && node.parent.type === "element" ? _lineIndent(text, node.parent.start) : "",
+            // Follow the document's indentation step when it can be told
+            indentUnit = indent.length > parentIndent.length ? indent.substr(parentIndent.length) : "    ",
+            // Insert after the last non-blank character of the content
+            before = text.substring(node.openEnd, node.closeStart).replace(/\s+$/, ""),
+            offset = node.openEnd + before.length;
+
+        return names.filter(function (name) {
+            return schema.elements[name];
+        }).map(function (name) {
+            // Tab stops don't apply here, so drop the empty lines left for them
+            var snippet = TagSnippets.build(schema, name, indent + indentUnit, indentUnit).text.replace(/\n[ \t]*(?=\n)/g, "");
+            return {
+                label: "Insert <" + name + ">",
+                edits: [{ start: offset, end: node.closeStart, text: "\n" + indent + indentUnit + "<" + snippet + "\n" + indent }]
+            };
+        });
+    }
+
+    /**
+     * Computes the fixes for one error
+     * @param {{message: string, pos: {line: number, ch: number}}} error
+     * @param {!XMLDocument} doc - the linted document, parsed by XMLParser
+     * @param {!{elements: Object, rootElements: Array.<string>}} schema - result of SchemaModel.parse()
+     * @return {Array.<{label: string, edits: Array.<{start: number, end: number, text: string}>}>}
+     */
+    function fixesFor(error, doc, schema) {
+        var match,
+            node,
+            decl;
+
+        if ((match = regexMissingAttr.exec(error.message))) {
+            node = doc.findElement(match[1], error.pos.line);
+            if (node) {
+                var offset = _attributeInsertOffset(node, doc.text);
+                return [{
+                    label: "Add attribute " + match[2] + "=\"\"",
+                    edits: [{ start: offset, end: offset, text: " " + match[2] + "=\"\"" }]
+                }];
+            }
+        } else if ((match = regexAttrNotAllowed.exec(error.message))) {
+            node = doc.findElement(match[1], error.pos.line);
+            var attr = node && node.getAttribute(match[2]);
+            if (attr) {
+                // Take the whitespace before the attribute with it
+                var start = attr.start;
+                while (start > 0 && /\s/.test(doc.text.charAt(start - 1))) {
+                    start--;
+                }
+                return [{
+                    label: "Remove attribute " + match[2],
+                    edits: [{ start: start, end: attr.valueEnd === -1 ? attr.end : attr.valueEnd + 1, text: "" }]
+                }];
+            }
+        } else if ((match = regexBadValue.exec(error.message))) {
+            node = doc.findElement(match[1], error.pos.line);
+            decl = schema.elements[match[1]];
+            var attrDecl = decl && decl.attributes[match[2]];
+            if (node && attrDecl) {
+                if (attrDecl.type === "boolean") {
+                    return _replaceValueFixes(node, match[2], ["true", "false"]);
+                }
+                return _replaceValueFixes(node, match[2], attrDecl.attribOption);
+            }
+        } else if ((match = regexNotExpected.exec(error.message))) {
+            node = doc.findElement(match[1], error.pos.line);
+            if (node) {
+                var parent = node.parent && node.parent.type === "element" ? node.parent : null,
+                    siblings = parent ? parent.childElements() : [],
+                    index = siblings.indexOf(node),
+                    names = function (nodes) {
+                        return nodes.map(function (sibling) {
+                            return sibling.name;
+                        });
+                    },
+                    allowed = ContentModel.insertable(schema, parent && parent.name,
+                        names(siblings.slice(0, index)), names(siblings.slice(index + 1))).allowed;
+
+                return _renameFixes(node, allowed.length ? allowed.sort() : _expectedNames(match[2]));
+            }
+        } else if ((match = regexMissingChild.exec(error.message))) {
+            node = doc.findElement(match[1], error.pos.line);
+            if (node) {
+                return _insertChildFixes(node, _expectedNames(match[2]), schema, doc.text);
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Attaches the available fixes to lint results, as a `fixes` array.
+     * Errors with a single one-edit fix also get a `fix` in the
+     * {replaceText, rangeOffset} form some inspection panels apply on click.
+     *
+     * @param {!Array.<{message: string, pos: {line: number, ch: number}}>} errors
+     * @param {!string} text - the linted document
+     * @param {!{elements: Object, rootElements: Array.<string>}} schema - result of SchemaModel.parse()
+     * @return {Array} the errors passed in
+     */
+    function addFixes(errors, text, schema) {
+        var doc = XMLParser.parse(text);
+
+        errors.forEach(function (error) {
+            var fixes = fixesFor(error, doc, schema);
+            if (fixes.length) {
+                error.fixes = fixes;
+                if (fixes.length === 1 && fixes[0].edits.length === 1) {
+                    error.fix = {
+                        replaceText: fixes[0].edits[0].text,
+                        rangeOffset: { start: fixes[0].edits[0].start, end: fixes[0].edits[0].end }
+                    };
+                }
+            }
+        });
+        return errors;
+    }
+
+    exports.fixesFor    = fixesFor;
+    exports.addFixes    = addFixes;
+});
@@ -0,0 +1,235 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Project extensions of the bundled grammar, for Muse builds that accept
+ * more than mucow.xsd describes. A project can give them in a .mucow.json
+ * file at its root, or through preferences:
+ *
+ *     {
+ *         "tags": {"text": {"attributes": ["placeholder"]}},
+ *         "attributes": {"text/placeholder": {"type": "string"}},
+ *         "schema": "schemas/mucow.xsd",
+ *         "supplementalSchema": ["schemas/extra.xsd"]
+ *     }
+ *
+ * "tags" and "attributes" are layered on the hint tables like
+ * MucowAttributes.json. "schema" replaces mucow.xsd and each
+ * "supplementalSchema" is merged into it with SchemaModel.mergeSchemas();
+ * both are paths relative to the project root.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var SchemaModel = require("SchemaModel");
+
+    // Name of the file read from the project root
+    var CONFIG_FILE = ".mucow.json";
+
+    /**
+     * @private
+     * Whether a value is a plain object
+     */
+    function _isObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Checks a configuration and gives it its full shape
+     * @param {?Object} config - from CONFIG_FILE or the preferences
+     * @return {{tags: Object, attributes: Object, schema: ?string, supplementalSchema: Array.<string>}}
+     * @throws {Error} if a property has the wrong type
+     */
+    function normalize(config) {
+        config = config || {};
+
+        if (!_isObject(config)) {
+            throw new Error("The configuration must be an object");
+        }
+
+        var supplements = config.supplementalSchema || [],
+            result = {
+                tags: config.tags || {},
+                attributes: config.attributes || {},
+                schema: config.schema || null,
+                supplementalSchema: typeof supplements === "string" ? [supplements] : supplements
+            };
+
+        ["tags", "attributes"].forEach(function (key) {
+            if (!_isObject(result[key])) {
+                throw new Error("\"" + key + "\" must be an object");
+            }
+            Object.keys(result[key]).forEach(function (name) {
+                if (!_isObject(result[key][name])) {
+                    throw new Error("\"" + key + "\" entry \"" + name + "\" must be an object");
+                }
+            });
+        });
+        if (result.schema !== null && typeof result.schema !== "string") {
+            throw new Error("\"schema\" must be a path");
+        }
+        if (!Array.isArray(result.supplementalSchema) || result.supplementalSchema.some(function (path) {
+                return typeof path !== "string";
+            })) {
+            throw new Error("\"supplementalSchema\" must be a path or a list of paths");
+        }
+        return result;
+    }
+
+    /**
+     * Reads the text of CONFIG_FILE
+     * @param {!string} text
+     * @return {{tags: Object, attributes: Object, schema: ?string, supplementalSchema: Array.<string>}}
+     * @throws {Error} if the text is not JSON or not a valid configuration
+     */
+    function parseConfig(text) {
+        var config;
+
+        try {
+            config = JSON.parse(text);
+        } catch (e) {
+            throw new Error("Invalid JSON: " + e.message);
+        }
+        return normalize(config);
+    }
+
+    /**
+     * Combines configurations; the later ones win. Tag and attribute entries
+     * are merged property by property, the later schema replaces the earlier
+     * one and supplemental schemas accumulate.
+     * @param {!Array.<Object>} configs - results of normalize()
+     * @return {{tags: Object, attributes: Object, schema: ?string, supplementalSchema: Array.<string>}}
+     */
+    function combine(configs) {
+        var result = normalize(null);
+
+        configs.forEach(function (config) {
+            ["tags", "attributes"].forEach(function (key) {
+                Object.keys(config[key]).forEach(function (name) {
+                    var entry = result[key][name] || (result[key][name] = {});
+                    Object.keys(config[key][name]).forEach(function (prop) {
+                        entry[prop] = config[key][name][prop];
+                    });
+                });
+            });
+            result.schema = config.schema || result.schema;
+            config.supplementalSchema.forEach(function (path) {
+                if (result.supplementalSchema.indexOf(path) === -1) {
+                    result.supplementalSchema.push(path);
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Lists the schema files a configuration refers to
+     * @param {!Object} config - result of normalize()
+     * @return {Array.<string>}
+     */
+    function schemaFiles(config) {
+        return (config.schema ? [config.schema] : []).concat(config.supplementalSchema);
+    }
+
+    /**
+     * Builds the schema to validate with
+     * @param {!string} xsdText - source of the bundled mucow.xsd
+     * @param {!Object} config - result of normalize()
+     * @param {!Object.<string, string>} files - text of the files listed by
+     *      schemaFiles(), by path; missing ones are left out
+     * @return {string} source of the schema
+     */
+    function schemaText(xsdText, config, files) {
+        var text = config.schema && files.hasOwnProperty(config.schema) ? files[config.schema] : xsdText;
+
+        config.supplementalSchema.forEach(function (path) {
+            if (files.hasOwnProperty(path)) {
+                text = SchemaModel.mergeSchemas(text, files[path]);
+            }
+        });
+        return text;
+    }
+
+    /**
+     * Names the schema files that schemaText() merges in, for messages
+     * @param {!Object} config - result of normalize()
+     * @param {!Object.<string, string>} files - as for schemaText()
+     * @param {string} origin - where the configuration came from
+     * @return {?string} e.g. "extra.xsd (named in .mucow.json)", null when
+     *      only mucow.xsd is used
+     */
+    function schemaSource(config, files, origin) {
+        var used = schemaFiles(config).filter(function (path) {
+            return files.hasOwnProperty(path);
+        });
+
+        return used.length ? used.join(", ") + " (named in " + origin + ")" : null;
+    }
+
+    /**
+     * Returns the hint table overlay of a configuration, for
+     * SchemaModel.applyOverlay(). An attribute described as "tag/attr" is
+     * also added to the attributes of its tag so it is offered as a hint.
+     * @param {!Object} config - result of normalize()
+     * @return {{tags: Object, attributes: Object}}
+     */
+    function overlay(config) {
+        var tags = {};
+
+        Object.keys(config.tags).forEach(function (name) {
+            tags[name] = {};
+            Object.keys(config.tags[name]).forEach(function (prop) {
+                var value = config.tags[name][prop];
+                tags[name][prop] = Array.isArray(value) ? value.slice() : value;
+            });
+        });
+
+        Object.keys(config.attributes).forEach(function (key) {
+            var parts = key.split("/"),
+                tag;
+
+            if (parts.length === 2) {
+                tag = tags[parts[0]] || (tags[parts[0]] = {});
+                tag.attributes = tag.attributes || [];
+                if (tag.attributes.indexOf(parts[1]) === -1) {
+                    tag.attributes.push(parts[1]);
+                }
+            }
+        });
+
+        return { tags: tags, attributes: config.attributes };
+    }
+
+    exports.CONFIG_FILE     = CONFIG_FILE;
+    exports.normalize       = normalize;
+    exports.parseConfig     = parseConfig;
+    exports.combine         = combine;
+    exports.schemaFiles     = schemaFiles;
+    exports.schemaText      = schemaText;
+    exports.schemaSource    = schemaSource;
+    exports.overlay         = overlay;
+});
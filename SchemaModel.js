@@ -0,0 +1,380 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Reads mucow.xsd and turns it into the element/attribute model used by the
+ * code hint providers, so that the schema is the single source of truth for
+ * both completion and validation.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var XMLParser = require("XMLParser");
+
+    // Context used for elements declared at the top level of the schema
+    var ROOT_CONTEXT = "/root$";
+
+    /**
+     * Adds a value to an array if it is not already there
+     * @param {!Array} array
+     * @param {*} value
+     */
+    function _addUnique(array, value) {
+        if (array.indexOf(value) === -1) {
+            array.push(value);
+        }
+    }
+
+    /**
+     * Converts a minOccurs/maxOccurs attribute into a number
+     * @param {?string} value - attribute value
+     * @return {number} 1 when the attribute is missing, Infinity for "unbounded"
+     */
+    function _occurs(value) {
+        if (value === null) {
+            return 1;
+        }
+        return value === "unbounded" ? Infinity : parseInt(value, 10);
+    }
+
+    /**
+     * Reads an xs:simpleType restriction
+     * @param {!XMLNode} simpleType
+     * @return {{type: string, attribOption: Array.<string>, maxLength: ?number}}
+     */
+    function _readSimpleType(simpleType) {
+        var restriction = simpleType.childElements("restriction")[0],
+            result = { type: "string", attribOption: [], maxLength: null };
+
+        if (restriction) {
+            result.type = XMLParser.localName(restriction.getAttributeValue("base") || "xs:string");
+            restriction.childElements().forEach(function (facet) {
+                var facetName = XMLParser.localName(facet.name);
+                if (facetName === "enumeration") {
+                    result.attribOption.push(facet.getAttributeValue("value"));
+                } else if (facetName === "maxLength") {
+                    result.maxLength = parseInt(facet.getAttributeValue("value"), 10);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Reads an xs:attribute declaration
+     * @param {!XMLNode} node
+     * @return {{name: string, type: string, use: string, default: ?string, attribOption: Array.<string>}}
+     */
+    function _readAttribute(node) {
+        var typeName = node.getAttributeValue("type"),
+            simpleType = node.childElements("simpleType")[0],
+            info = {
+                name: node.getAttributeValue("name"),
+                type: "string",
+                use: node.getAttributeValue("use") || "optional",
+                "default": node.getAttributeValue("default"),
+                attribOption: []
+            };
+
+        if (typeName) {
+            info.type = XMLParser.localName(typeName);
+        } else if (simpleType) {
+            var restriction = _readSimpleType(simpleType);
+            info.type = restriction.type;
+            info.attribOption = restriction.attribOption;
+        }
+        return info;
+    }
+
+    /**
+     * Parses the XSD into a model of element declarations.
+     *
+     * Every element is keyed by name. Elements that are declared more than
+     * once (e.g. through a group referenced from several places) are merged:
+     * the contexts accumulate and the first declaration supplies the content.
+     *
+     * @param {!string} xsdText - source of the schema
+     * @return {{elements: Object.<string, {
+     *              name: string,
+     *              contexts: Array.<string>,
+     *              attributes: Object.<string, Object>,
+     *              attributeOrder: Array.<string>,
+     *              model: ?Object,
+     *              contentType: ?string,
+     *              mixed: boolean,
+     *              empty: boolean}>,
+     *          rootElements: Array.<string>}}
+     */
+    function parse(xsdText) {
+        var doc = XMLParser.parse(xsdText),
+            schemaNode = doc.rootElement(),
+            groups = {},
+            elements = {},
+            rootElements = [];
+
+        if (!schemaNode) {
+            return { elements: elements, rootElements: rootElements };
+        }
+
+        schemaNode.childElements("group").forEach(function (group) {
+            groups[group.getAttributeValue("name")] = group;
+        });
+
+        var readParticle;
+
+        function readElement(node, parentName) {
+            var name = node.getAttributeValue("name"),
+                decl = elements[name];
+
+            if (!decl) {
+                decl = elements[name] = {
+                    name: name,
+                    contexts: [],
+                    attributes: {},
+                    attributeOrder: [],
+                    model: null,
+                    contentType: null,
+                    mixed: false,
+                    empty: false
+                };
+            }
+            _addUnique(decl.contexts, parentName || ROOT_CONTEXT);
+
+            if (decl.declaration) {
+                return decl;
+            }
+            decl.declaration = node;
+
+            if (node.getAttributeValue("type")) {
+                decl.contentType = XMLParser.localName(node.getAttributeValue("type"));
+            }
+
+            node.childElements("simpleType").forEach(function (simpleType) {
+                var restriction = _readSimpleType(simpleType);
+                decl.contentType = restriction.type;
+                decl.empty = restriction.maxLength === 0;
+            });
+
+            node.childElements("complexType").forEach(function (complexType) {
+                decl.mixed = complexType.getAttributeValue("mixed") === "true";
+                complexType.childElements().forEach(function (child) {
+                    var kind = XMLParser.localName(child.name);
+                    if (kind === "attribute") {
+                        var attr = _readAttribute(child);
+                        decl.attributes[attr.name] = attr;
+                        decl.attributeOrder.push(attr.name);
+                    } else if (kind === "sequence" || kind === "choice" || kind === "all" || kind === "group") {
+                        decl.model = readParticle(child, name);
+                    }
+                });
+            });
+
+            return decl;
+        }
+
+        readParticle = function (node, ownerName) {
+            var kind = XMLParser.localName(node.name),
+                particle = {
+                    kind: kind,
+                    min: _occurs(node.getAttributeValue("minOccurs")),
+                    max: _occurs(node.getAttributeValue("maxOccurs")),
+                    explicitMax: node.getAttributeValue("maxOccurs") !== null,
+                    children: []
+                };
+
+            if (kind === "element") {
+                particle.name = readElement(node, ownerName).name;
+            } else if (kind === "group") {
+                // A group reference behaves like a sequence wrapping the group's compositor
+                var group = groups[node.getAttributeValue("ref")];
+                particle.kind = "sequence";
+                if (group) {
+                    particle.children = group.childElements().map(function (child) {
+                        return readParticle(child, ownerName);
+                    });
+                }
+            } else {
+                particle.children = node.childElements().filter(function (child) {
+                    return XMLParser.localName(child.name) !== "annotation";
+                }).map(function (child) {
+                    return readParticle(child, ownerName);
+                });
+            }
+            return particle;
+        };
+
+        schemaNode.childElements("element").forEach(function (node) {
+            rootElements.push(readElement(node, null).name);
+        });
+
+        Object.keys(elements).forEach(function (name) {
+            delete elements[name].declaration;
+        });
+
+        return { elements: elements, rootElements: rootElements };
+    }
+
+    /**
+     * Builds the tag and attribute hint tables from a parsed schema.
+     *
+     * The tag table has the shape `{tagName: {attributes: [...], context: [...]}}`
+     * and the attribute table is keyed by "tag/attr" with entries shaped like
+     * `{attribOption: [...], type: "boolean", use: "required", default: "1"}`.
+     *
+     * @param {!{elements: Object}} schema - result of parse()
+     * @return {{tags: Object, attributes: Object}}
+     */
+    function buildHintTables(schema) {
+        var tags = {},
+            attributes = {};
+
+        Object.keys(schema.elements).forEach(function (name) {
+            var decl = schema.elements[name];
+
+            tags[name] = {
+                attributes: decl.attributeOrder.slice(),
+                context: decl.contexts.slice()
+            };
+
+            decl.attributeOrder.forEach(function (attrName) {
+                var attr = decl.attributes[attrName];
+                attributes[name + "/" + attrName] = {
+                    attribOption: attr.attribOption.slice(),
+                    type: attr.type,
+                    use: attr.use,
+                    "default": attr["default"]
+                };
+            });
+        });
+
+        return { tags: tags, attributes: attributes };
+    }
+
+    /**
+     * Merges UI-only metadata on top of generated hint tables. Tag entries
+     * have their attribute and context lists extended; every other property,
+     * and every attribute entry, is copied over the generated one.
+     *
+     * @param {!{tags: Object, attributes: Object}} tables - result of buildHintTables()
+     * @param {?{tags: Object=, attributes: Object=}} overlay
+     * @return {{tags: Object, attributes: Object}} the tables passed in
+     */
+    function applyOverlay(tables, overlay) {
+        if (!overlay) {
+            return tables;
+        }
+
+        Object.keys(overlay.tags || {}).forEach(function (name) {
+            var extra = overlay.tags[name],
+                tag = tables.tags[name] || (tables.tags[name] = { attributes: [], context: [] });
+
+            Object.keys(extra).forEach(function (key) {
+                if (key === "attributes" || key === "context") {
+                    extra[key].forEach(function (value) {
+                        _addUnique(tag[key], value);
+                    });
+                } else {
+                    tag[key] = extra[key];
+                }
+            });
+        });
+
+        Object.keys(overlay.attributes || {}).forEach(function (key) {
+            var extra = overlay.attributes[key],
+                attr = tables.attributes[key] || (tables.attributes[key] = { attribOption: [] });
+
+            Object.keys(extra).forEach(function (prop) {
+                attr[prop] = extra[prop];
+            });
+        });
+
+        return tables;
+    }
+
+    /**
+     * Merges a supplemental XSD into a schema. Each top level declaration of
+     * the supplement (xs:element, xs:group, xs:complexType...) replaces the
+     * one of the same kind and name in the schema, or is added to it. Both
+     * must use the same prefix for the XML Schema namespace.
+     *
+     * @param {!string} xsdText - source of the schema
+     * @param {!string} supplementText - source of the supplemental schema
+     * @return {string} source of the merged schema
+     */
+    function mergeSchemas(xsdText, supplementText) {
+        var schemaNode = XMLParser.parse(xsdText).rootElement(),
+            supplementNode = XMLParser.parse(supplementText).rootElement(),
+            declarations = {},
+            edits = [],
+            added = [],
+            result = xsdText;
+
+        if (!schemaNode || !supplementNode || schemaNode.closeStart === -1) {
+            return xsdText;
+        }
+
+        function key(node) {
+            return XMLParser.localName(node.name) + " " + node.getAttributeValue("name");
+        }
+
+        schemaNode.childElements().forEach(function (node) {
+            declarations[key(node)] = node;
+        });
+
+        supplementNode.childElements().forEach(function (node) {
+            if (node.getAttributeValue("name") === null) {
+                return;
+            }
+
+            var source = supplementText.substring(node.start, node.end),
+                declaration = declarations[key(node)];
+
+            if (declaration) {
+                edits.push({ start: declaration.start, end: declaration.end, text: source });
+            } else {
+                added.push("  " + source + "\n");
+            }
+        });
+
+        if (added.length) {
+            edits.push({ start: schemaNode.closeStart, end: schemaNode.closeStart, text: added.join("") });
+        }
+
+        // Apply from the end so the earlier offsets stay valid
+        edits.sort(function (a, b) {
+            return b.start - a.start;
+        }).forEach(function (edit) {
+            result = result.substr(0, edit.start) + edit.text + result.substr(edit.end);
+        });
+        return result;
+    }
+
+    exports.ROOT_CONTEXT    = ROOT_CONTEXT;
+    exports.parse           = parse;
+    exports.buildHintTables = buildHintTables;
+    exports.applyOverlay    = applyOverlay;
+    exports.mergeSchemas    = mergeSchemas;
+});
@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, evil: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Syntax checks the JavaScript embedded in a widget: the body of
+ * documentReadyJS and the inline <script> blocks of the HTML sections.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WidgetModel     = require("WidgetModel"),
+        SemanticLinter  = require("SemanticLinter"),
+        XMLParser       = require("XMLParser");
+
+    // Regex to find inline scripts in HTML content.
+    var regexScript = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+
+    // Regex to find the type attribute of a script tag.
+    var regexScriptType = /\btype\s*=\s*["']?([^"'\s>]+)/i;
+
+    // Regex to find placeholders; they are swapped for identifiers of the same length.
+    var regexPlaceholder = /\{(param_[\w\-]+)\}/g;
+
+    var JS_TYPES = ["text/javascript", "application/javascript", "application/x-javascript", "module"];
+
+    // A year rather than "latest", which acorn before version 8 doesn't know
+    var ECMA_VERSION = 2022;
+
+    var _parser = null;
+
+    /**
+     * Sets the function used to parse scripts. It is given the code and
+     * whether it is a module, and must throw an error with a character offset
+     * in `pos` (acorn) or `index` (esprima) on failure. Without one, scripts
+     * are compiled with Function() and errors are reported at the start of
+     * the block, saying so in the message; modules are not checked.
+     *
+     * @param {?function(string, boolean)} parser
+     */
+    function setParser(parser) {
+        _parser = parser;
+    }
+
+    /**
+     * Makes a parser for setParser() from acorn
+     * @param {!{parse: function(string, Object)}} acorn
+     * @return {function(string, boolean)}
+     */
+    function acornParser(acorn) {
+        return function (code, isModule) {
+            acorn.parse(code, {
+                ecmaVersion: ECMA_VERSION,
+                sourceType: isModule ? "module" : "script",
+                // documentReadyJS is run as the body of a function
+                allowReturnOutsideFunction: !isModule
+            });
+        };
+    }
+
+    /**
+     * @private
+     * Extracts the text of a content section as the browser would see it:
+     * CDATA markers are dropped and entities outside CDATA are decoded.
+     *
+     * @param {!string} text - document text
+     * @param {!XMLNode} section - content section element
+     * @return {{code: string, offsets: Array.<number>}} the text and, for each
+     *      of its characters, the offset it came from in the document
+     */
+    function _extractText(text, section) {
+        var code = "",
+            offsets = [],
+            end = section.contentEnd();
+
+        section.children.forEach(function (child) {
+            var i, start;
+
+            if (child.type === "cdata") {
+                for (i = child.valueStart; i < child.valueEnd; i++) {
+                    code += text.charAt(i);
+                    offsets.push(i);
+                }
+            } else if (child.type === "text") {
+                for (i = child.start; i < Math.min(child.end, end); i++) {
+                    if (text.charAt(i) === "&") {
+                        start = i;
+                        var semicolon = text.indexOf(";", i);
+                        if (semicolon !== -1 && semicolon - i < 10) {
+                            code += XMLParser.decodeEntities(text.substring(i, semicolon + 1));
+                            while (offsets.length < code.length) {
+                                offsets.push(start);
+                            }
+                            i = semicolon;
+                            continue;
+                        }
+                    }
+                    code += text.charAt(i);
+                    offsets.push(i);
+                }
+            }
+        });
+
+        // Placeholders are valid wherever an identifier or string content is
+        code = code.replace(regexPlaceholder, "_$1_");
+
+        offsets.push(end);
+        return { code: code, offsets: offsets };
+    }
+
+    /**
+     * @private
+     * Returns the JavaScript blocks in a content section
+     * @return {Array.<{code: string, offset: number, isModule: boolean}>}
+     *      each block and its offset into the extracted section text
+     */
+    function _findScripts(section, code) {
+        var blocks = [],
+            match;
+
+        if (section.name === "documentReadyJS") {
+            return [{ code: code, offset: 0, isModule: false }];
+        }
+
+        regexScript.lastIndex = 0;
+        while ((match = regexScript.exec(code)) !== null) {
+            var type = regexScriptType.exec(match[1]);
+            if (!type || JS_TYPES.indexOf(type[1].toLowerCase()) !== -1) {
+                blocks.push({
+                    code: match[2],
+                    offset: match.index + match[0].indexOf(">") + 1,
+                    isModule: !!type && type[1].toLowerCase() === "module"
+                });
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * @private
+     * Parses a block and returns the syntax error found, if any
+     * @return {?{offset: number, message: string, exact: boolean}} offset
+     *      into the block; exact is false when only the block is known
+     */
+    function _checkSyntax(code, isModule) {
+        try {
+            if (_parser) {
+                _parser(code, isModule);
+            } else if (!isModule) {
+                // Compiles without running; only a syntax check
+                Function(code);
+            }
+        } catch (err) {
+            var offset = typeof err.pos === "number" ? err.pos : (typeof err.index === "number" ? err.index : 0),
+                message = err.description || err.message || String(err);
+
+            return {
+                offset: offset,
+                // acorn appends the position, which is wrong once mapped back
+                message: message.replace(/\s*\(\d+:\d+\)$/, ""),
+                exact: typeof err.pos === "number" || typeof err.index === "number"
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Syntax checks every JavaScript block of a document
+     * @param {!string} text - document text to lint
+     * @return {Array.<{pos: {line: number, ch: number}, message: string, type: string}>}
+     */
+    function lint(text) {
+        var model = WidgetModel.getModel(text),
+            results = [];
+
+        model.contentSections.forEach(function (section) {
+            var extracted = _extractText(text, section);
+
+            _findScripts(section, extracted.code).forEach(function (block) {
+                var error = _checkSyntax(block.code, block.isModule);
+
+                if (error) {
+                    var index = Math.min(block.offset + error.offset, extracted.offsets.length - 1);
+                    results.push({
+                        pos: model.document.posFromIndex(extracted.offsets[index]),
+                        message: "JavaScript syntax error in " + section.name + ": " + error.message +
+                            (error.exact ? "" : " (somewhere in the script starting here)"),
+                        type: SemanticLinter.Type.ERROR
+                    });
+                }
+            });
+        });
+
+        return results;
+    }
+
+    exports.setParser   = setParser;
+    exports.acornParser = acornParser;
+    exports.lint        = lint;
+});
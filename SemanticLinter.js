@@ -0,0 +1,555 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Checks that the XSD cannot express: how parameters are declared and
+ * referenced across the widget, and whether the string table is complete.
+ * Each rule receives the WidgetModel and a `report` callback taking an
+ * offset range, a message and a severity.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WidgetModel         = require("WidgetModel"),
+        FormatVersions      = require("FormatVersions"),
+        AttributeValues     = require("AttributeValues"),
+        ParameterReferences = require("ParameterReferences");
+
+    // Same values as CodeInspection.Type so results can be handed over as-is
+    var Type = {
+        ERROR: "problem_type_error",
+        WARNING: "problem_type_warning"
+    };
+
+    /**
+     * Placeholders must refer to a declared parameter
+     */
+    function checkUndeclaredPlaceholders(model, report) {
+        model.placeholders.forEach(function (placeholder) {
+            if (model.findParameters(placeholder.name).length === 0) {
+                report(placeholder.start, placeholder.end,
+                    "{param_" + placeholder.name + "} refers to an undeclared parameter '" + placeholder.name + "'", Type.ERROR);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * A bool or list can take effect without a placeholder: one of its
+     * options holds content sections or disables other controls
+     */
+    function _hasActiveOption(param) {
+        if (param.type !== "bool" && param.type !== "list") {
+            return false;
+        }
+        return param.node.childElements().some(function (option) {
+            var attr = option.getAttribute("disableOptions"),
+                content = false;
+
+            option.walk(function (node) {
+                if (node.type === "element" && WidgetModel.CONTENT_TAGS.indexOf(node.name) !== -1) {
+                    content = true;
+                }
+            });
+            return content || (attr && attr.valueStart !== -1);
+        });
+    }
+
+    /**
+     * Every declared parameter should be used by at least one placeholder,
+     * or for a bool or list, by the content or disableOptions of an option
+     */
+    function checkUnusedParameters(model, report) {
+        var used = {};
+
+        model.placeholders.forEach(function (placeholder) {
+            used[placeholder.name] = true;
+        });
+
+        model.parameters.forEach(function (param) {
+            if (!used[param.name] && !_hasActiveOption(param)) {
+                report(param.nameAttr.valueStart, param.nameAttr.valueEnd,
+                    "Parameter '" + param.name + "' is declared but {param_" + param.name + "} is never used", Type.WARNING);
+            }
+        });
+    }
+
+    /**
+     * Parameter names must be unique across the whole widget, sections included
+     */
+    function checkDuplicateParameters(model, report) {
+        var seen = {};
+
+        model.parameters.forEach(function (param) {
+            var first = seen[param.name];
+            if (first) {
+                report(param.nameAttr.valueStart, param.nameAttr.valueEnd,
+                    "Duplicate parameter name '" + param.name + "' (first declared on line " +
+                    (model.document.posFromIndex(first.nameAttr.start).line + 1) + ")", Type.ERROR);
+            } else {
+                seen[param.name] = param;
+            }
+        });
+    }
+
+    /**
+     * @private
+     * A number's defaultValue must lie between its min and max, and be a
+     * whole number of steps from min
+     */
+    function _checkNumberDefault(param, attr, report) {
+        var value = parseFloat(attr.value),
+            min = parseFloat(param.node.getAttributeValue("min")),
+            max = parseFloat(param.node.getAttributeValue("max")),
+            step = parseFloat(param.node.getAttributeValue("step")),
+            steps;
+
+        if (isNaN(value)) {
+            return;
+        }
+        if (!isNaN(min) && value < min) {
+            report(attr.valueStart, attr.valueEnd,
+                "defaultValue " + attr.value + " of number '" + param.name + "' is less than its min " + min, Type.ERROR);
+        } else if (!isNaN(max) && value > max) {
+            report(attr.valueStart, attr.valueEnd,
+                "defaultValue " + attr.value + " of number '" + param.name + "' is greater than its max " + max, Type.ERROR);
+        } else if (step > 0) {
+            steps = (value - (isNaN(min) ? 0 : min)) / step;
+            // Allow for the rounding of decimal steps such as 0.1
+            if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+                report(attr.valueStart, attr.valueEnd,
+                    "defaultValue " + attr.value + " of number '" + param.name + "' is not a whole number of steps of " + step +
+                    (isNaN(min) ? "" : " from min " + min), Type.WARNING);
+            }
+        }
+    }
+
+    /**
+     * The defaultValue of a list must name one of its values, the
+     * defaultValue of a bool must be true or false and the defaultValue of a
+     * number must fit its min, max and step
+     */
+    function checkDefaultValues(model, report) {
+        model.parameters.forEach(function (param) {
+            var attr = param.node.getAttribute("defaultValue");
+
+            if (!attr || attr.valueStart === -1) {
+                return;
+            }
+
+            if (param.type === "list") {
+                var names = param.node.childElements("value").map(function (value) {
+                    return value.getAttributeValue("name");
+                });
+                if (names.indexOf(attr.value) === -1) {
+                    report(attr.valueStart, attr.valueEnd,
+                        "defaultValue '" + attr.value + "' of list '" + param.name + "' does not match any <value name>" +
+                        (names.length ? " (expected one of: " + names.join(", ") + ")" : ""), Type.ERROR);
+                }
+            } else if (param.type === "bool") {
+                if (attr.value !== "true" && attr.value !== "false") {
+                    report(attr.valueStart, attr.valueEnd,
+                        "defaultValue of bool '" + param.name + "' must be true or false", Type.ERROR);
+                }
+            } else if (param.type === "number") {
+                _checkNumberDefault(param, attr, report);
+            }
+        });
+    }
+
+    /**
+     * The localization attribute and the presence of a <stringTable> must
+     * agree. A value outside the schema's enumeration is left to xmllint
+     */
+    function checkLocalizationMode(model, report, schema) {
+        var attr = model.root.getAttribute("localization"),
+            decl = schema && schema.elements[model.root.name],
+            options = decl && decl.attributes.hasOwnProperty("localization") ? decl.attributes.localization.attribOption : null;
+
+        if (!attr || attr.valueStart === -1) {
+            return;
+        }
+        if (options && options.length && options.indexOf(attr.value) === -1) {
+            return;
+        }
+
+        if (attr.value === "stringTable" && !model.stringTableNode) {
+            report(attr.valueStart, attr.valueEnd,
+                "localization is \"stringTable\" but the widget has no <stringTable>", Type.WARNING);
+        } else if (attr.value !== "stringTable" && model.stringTableNode) {
+            report(model.stringTableNode.start + 1, model.stringTableNode.start + 1 + "stringTable".length,
+                "<stringTable> is ignored because localization is \"" + attr.value + "\"", Type.WARNING);
+        }
+    }
+
+    /**
+     * Locale names must be unique, as must the keys within each locale
+     */
+    function checkDuplicateStrings(model, report) {
+        var locales = {};
+
+        model.locales.forEach(function (locale) {
+            var keys = {};
+
+            if (locale.nameAttr && locale.nameAttr.valueStart !== -1) {
+                if (locales[locale.name]) {
+                    report(locale.nameAttr.valueStart, locale.nameAttr.valueEnd,
+                        "Duplicate locale '" + locale.name + "'", Type.ERROR);
+                }
+                locales[locale.name] = true;
+            }
+
+            locale.strings.forEach(function (string) {
+                if (keys[string.key]) {
+                    report(string.keyAttr.valueStart, string.keyAttr.valueEnd,
+                        "Duplicate keyString '" + string.key + "' in locale '" + locale.name + "'", Type.ERROR);
+                }
+                keys[string.key] = true;
+            });
+        });
+    }
+
+    /**
+     * Every locale should translate the same keys. A locale declared twice
+     * is checked once, with the keys of both declarations (the duplicate is
+     * reported by checkDuplicateStrings)
+     */
+    function checkMissingTranslations(model, report) {
+        var allKeys = model.stringKeys();
+
+        model.locales.forEach(function (locale) {
+            var same = model.locales.filter(function (other) {
+                    return other === locale || (locale.name !== null && other.name === locale.name);
+                }),
+                keys,
+                missing,
+                at;
+
+            if (same[0] !== locale) {
+                return;
+            }
+
+            keys = [];
+            same.forEach(function (other) {
+                other.strings.forEach(function (string) {
+                    keys.push(string.key);
+                });
+            });
+            missing = allKeys.filter(function (key) {
+                return keys.indexOf(key) === -1;
+            });
+            at = locale.nameAttr && locale.nameAttr.valueStart !== -1 ?
+                    [locale.nameAttr.valueStart, locale.nameAttr.valueEnd] :
+                    [locale.node.start + 1, locale.node.start + 1 + "locale".length];
+
+            missing.forEach(function (key) {
+                var others = model.locales.filter(function (other) {
+                    return same.indexOf(other) === -1 && other.strings.some(function (string) {
+                        return string.key === key;
+                    });
+                }).map(function (other) {
+                    return other.name;
+                }).filter(function (name, i, names) {
+                    return names.indexOf(name) === i;
+                });
+                report(at[0], at[1],
+                    "Locale '" + locale.name + "' has no string for '" + key + "' (present in " + others.join(", ") + ")", Type.WARNING);
+            });
+        });
+    }
+
+    // Text that looks like a string key rather than words: no spaces, and
+    // dotted, underscored or camelCase
+    var regexStringKey = /^[A-Za-z][\w\-]*(?:[._][\w\-]+|[a-z][A-Z][\w\-]*)$/;
+
+    /**
+     * Labels, tool tips and info text that look like string keys should have
+     * a translation
+     */
+    function checkUntranslatedKeys(model, report) {
+        if (!model.stringTableNode || model.root.getAttributeValue("localization") !== "stringTable") {
+            return;
+        }
+
+        var keys = model.stringKeys();
+
+        model.root.walk(function (node) {
+            if (node === model.stringTableNode || model.contentSections.indexOf(node) !== -1) {
+                return false;
+            }
+            if (node.type !== "element") {
+                return;
+            }
+            ["label", "toolTip"].forEach(function (name) {
+                var attr = node.getAttribute(name);
+                if (attr && attr.valueStart !== -1 && regexStringKey.test(attr.value) && keys.indexOf(attr.value) === -1) {
+                    report(attr.valueStart, attr.valueEnd,
+                        name + " '" + attr.value + "' looks like a string key but has no <string keyString> in the stringTable", Type.WARNING);
+                }
+            });
+        });
+    }
+
+    /**
+     * disableOptions must name declared parameters or sections, an option
+     * must not disable its own control, and options must not disable each
+     * other's controls in a cycle
+     */
+    function checkDisableOptions(model, report) {
+        var sections = {},
+            controls = {},
+            options = [],
+            edges = {};
+
+        model.sections.forEach(function (section) {
+            if (section.name) {
+                sections[section.name] = section;
+            }
+        });
+        model.parameters.forEach(function (param) {
+            controls[param.name] = param;
+        });
+
+        // Names a disableOptions entry turns off: a section stands for its controls
+        function affected(name) {
+            if (sections.hasOwnProperty(name)) {
+                return model.parameters.filter(function (param) {
+                    return param.section === sections[name].node;
+                }).map(function (param) {
+                    return param.name;
+                });
+            }
+            return controls.hasOwnProperty(name) ? [name] : [];
+        }
+
+        model.parameters.forEach(function (param) {
+            if (param.type !== "bool" && param.type !== "list") {
+                return;
+            }
+            param.node.childElements().forEach(function (option) {
+                var attr = option.getAttribute("disableOptions");
+                if (attr && attr.valueStart !== -1) {
+                    options.push({ param: param, attr: attr, names: ParameterReferences.optionEntries(model, attr) });
+                }
+            });
+        });
+
+        options.forEach(function (option) {
+            var owner = option.param.name;
+
+            option.names.forEach(function (entry) {
+                if (!sections.hasOwnProperty(entry.name) && !controls.hasOwnProperty(entry.name)) {
+                    report(entry.start, entry.end,
+                        "disableOptions refers to '" + entry.name + "', which is not a declared parameter or section", Type.ERROR);
+                    return;
+                }
+
+                var targets = affected(entry.name);
+                if (targets.indexOf(owner) !== -1) {
+                    report(entry.start, entry.end,
+                        entry.name === owner ? "'" + owner + "' disables itself" :
+                                "'" + owner + "' disables its own section '" + entry.name + "'", Type.ERROR);
+                }
+
+                edges[owner] = edges[owner] || {};
+                targets.forEach(function (target) {
+                    if (target !== owner) {
+                        edges[owner][target] = option.attr;
+                    }
+                });
+            });
+        });
+
+        // Look for a chain of options leading back to the control it started from
+        var reported = {};
+        Object.keys(edges).forEach(function (start) {
+            var path = [start];
+
+            function visit(name) {
+                return Object.keys(edges[name] || {}).some(function (next) {
+                    if (next === start) {
+                        path.push(next);
+                        return true;
+                    }
+                    if (path.indexOf(next) !== -1) {
+                        return false;
+                    }
+                    path.push(next);
+                    if (visit(next)) {
+                        return true;
+                    }
+                    path.pop();
+                    return false;
+                });
+            }
+
+            if (visit(start)) {
+                var key = path.slice(0, -1).sort().join(",");
+                if (!reported[key]) {
+                    reported[key] = true;
+                    var attr = edges[start][path[1]];
+                    report(attr.valueStart, attr.valueEnd,
+                        "Options disable each other in a cycle (" + path.join(" -> ") +
+                        "), which can leave these controls locked", Type.WARNING);
+                }
+            }
+        });
+    }
+
+    /**
+     * Elements, attributes and values must exist in the formatNumber the
+     * widget declares
+     */
+    function checkFormatVersion(model, report) {
+        var format = FormatVersions.declared(model.root);
+        if (format === null) {
+            return;
+        }
+
+        function needs(minimum, what) {
+            return what + " " + FormatVersions.requirement(minimum) + " (this widget declares " + format + ")";
+        }
+
+        model.root.walk(function (node) {
+            if (node.type !== "element") {
+                return;
+            }
+
+            var minimum = FormatVersions.elementMinimum(node.name);
+            if (minimum > format) {
+                report(node.start + 1, node.start + 1 + node.name.length, needs(minimum, "<" + node.name + ">"), Type.ERROR);
+            }
+
+            node.attributes.forEach(function (attr) {
+                minimum = FormatVersions.attributeMinimum(node.name, attr.name);
+                if (minimum > format) {
+                    report(attr.start, attr.end, needs(minimum, "'" + attr.name + "'"), Type.ERROR);
+                    return;
+                }
+                minimum = FormatVersions.valueMinimum(node.name, attr.name, attr.value);
+                if (minimum > format && attr.valueStart !== -1) {
+                    report(attr.valueStart, attr.valueEnd, needs(minimum, attr.name + " '" + attr.value + "'"), Type.ERROR);
+                }
+            });
+
+            // Markup inside the content sections is output, not MuCow
+            if (model.contentSections.indexOf(node) !== -1) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Attributes the schema types as xs:anyURI must hold well-formed URIs.
+     * Those xmllint already rejected are left to its error
+     */
+    function checkURIs(model, report, schema, reported) {
+        var rejected = {};
+
+        if (!schema) {
+            return;
+        }
+
+        reported.forEach(function (error) {
+            rejected[error.pos.line + ":" + error.pos.ch] = true;
+        });
+
+        model.root.walk(function (node) {
+            if (model.contentSections.indexOf(node) !== -1) {
+                return false;
+            }
+            if (node.type !== "element" || !schema.elements[node.name]) {
+                return;
+            }
+
+            var decls = schema.elements[node.name].attributes;
+            node.attributes.forEach(function (attr) {
+                var decl = decls.hasOwnProperty(attr.name) ? decls[attr.name] : null,
+                    problem = decl && decl.type === "anyURI" && attr.value ? AttributeValues.uriProblem(attr.value) : null,
+                    pos = model.document.posFromIndex(attr.start);
+
+                if (problem && !rejected[pos.line + ":" + pos.ch]) {
+                    report(attr.valueStart, attr.valueEnd, attr.name + " is not a valid URI: it " + problem, Type.WARNING);
+                }
+            });
+        });
+    }
+
+    var RULES = [
+        checkUndeclaredPlaceholders,
+        checkUnusedParameters,
+        checkDuplicateParameters,
+        checkDefaultValues,
+        checkLocalizationMode,
+        checkDuplicateStrings,
+        checkMissingTranslations,
+        checkUntranslatedKeys,
+        checkDisableOptions,
+        checkFormatVersion,
+        checkURIs
+    ];
+
+    /**
+     * Runs all semantic rules on a document
+     * @param {!string} text - document text to lint
+     * @param {?Object} schema - result of SchemaModel.parse(); the checks that
+     *      depend on attribute types are skipped without it
+     * @param {Array.<{pos: {line: number, ch: number}}>=} reported - errors
+     *      xmllint already reported, so they are not repeated
+     * @return {Array.<{pos: {line: number, ch: number}, endPos: {line: number, ch: number}, message: string, type: string}>}
+     */
+    function lint(text, schema, reported) {
+        var model = WidgetModel.getModel(text),
+            results = [];
+
+        reported = reported || [];
+
+        if (!model.root) {
+            return results;
+        }
+
+        function report(start, end, message, type) {
+            results.push({
+                pos: model.document.posFromIndex(start),
+                endPos: model.document.posFromIndex(end),
+                message: message,
+                type: type
+            });
+        }
+
+        RULES.forEach(function (rule) {
+            rule(model, report, schema, reported);
+        });
+
+        results.sort(function (a, b) {
+            return (a.pos.line - b.pos.line) || (a.pos.ch - b.pos.ch);
+        });
+        return results;
+    }
+
+    exports.Type    = Type;
+    exports.lint    = lint;
+});
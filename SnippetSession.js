@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, CodeMirror */
+
+/**
+ * Tab stop navigation for inserted snippets. While a session is active, Tab
+ * and Shift-Tab move between the fields and Esc ends the session; moving
+ * past the last field also ends it.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var _active = null;
+
+    /**
+     * @constructor
+     * @param {!Editor} editor - editor the snippet was inserted into
+     * @param {!Array.<{start: {line: number, ch: number}, end: {line: number, ch: number}}>} stops
+     *      field ranges in document order; the last one is the exit position
+     */
+    function SnippetSession(editor, stops) {
+        var self = this,
+            cm = editor._codeMirror;
+
+        this.editor = editor;
+        this.index = -1;
+
+        // Marks follow the text as the user types into a field
+        this.marks = stops.map(function (stop, i) {
+            var isExit = i === stops.length - 1;
+            return cm.markText(stop.start, stop.end, {
+                className: isExit ? "" : "mucow-tabstop",
+                clearWhenEmpty: false,
+                inclusiveLeft: true,
+                inclusiveRight: true
+            });
+        });
+
+        this.keyMap = {
+            "Tab": function () {
+                return self.move(1);
+            },
+            "Shift-Tab": function () {
+                return self.move(-1);
+            },
+            "Esc": function () {
+                self.end();
+                return CodeMirror.Pass;
+            }
+        };
+        cm.addKeyMap(this.keyMap);
+    }
+
+    /**
+     * Selects the field `delta` positions away from the current one
+     * @param {number} delta
+     * @return {*} CodeMirror.Pass if the key should not be consumed
+     */
+    SnippetSession.prototype.move = function (delta) {
+        var next = this.index + delta,
+            range;
+
+        if (next < 0) {
+            return CodeMirror.Pass;
+        }
+
+        range = this.marks[next] && this.marks[next].find();
+        if (!range) {
+            this.end();
+            return CodeMirror.Pass;
+        }
+
+        this.index = next;
+        this.editor.setSelection(range.from, range.to);
+
+        if (next === this.marks.length - 1) {
+            this.end();
+        }
+    };
+
+    /**
+     * Removes the marks and key bindings of the session
+     */
+    SnippetSession.prototype.end = function () {
+        var cm = this.editor._codeMirror;
+
+        cm.removeKeyMap(this.keyMap);
+        this.marks.forEach(function (mark) {
+            mark.clear();
+        });
+        if (_active === this) {
+            _active = null;
+        }
+    };
+
+    /**
+     * Starts a session for a snippet that was just inserted and selects its
+     * first field. Any session still running is ended first.
+     *
+     * @param {!Editor} editor
+     * @param {!Array.<{start: {line: number, ch: number}, end: {line: number, ch: number}}>} stops
+     * @return {SnippetSession}
+     */
+    function start(editor, stops) {
+        if (_active) {
+            _active.end();
+        }
+        if (!stops.length) {
+            return null;
+        }
+        _active = new SnippetSession(editor, stops);
+        _active.move(1);
+        return _active;
+    }
+
+    exports.start = start;
+});
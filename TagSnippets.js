@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Builds the skeleton inserted when a tag hint is accepted: the required
+ * attributes, the mandatory children and the end tag, as described by the
+ * schema, with tab stops for everything the user still has to fill in.
+ * Where one child out of several is required, the first one is inserted so
+ * the skeleton validates.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    /**
+     * Returns the child elements that must be present, in order, according
+     * to a content model particle. Choices between several elements are left
+     * to the user.
+     *
+     * @param {?Object} particle - content model from SchemaModel.parse()
+     * @return {Array.<string>} element names, repeated as often as required
+     */
+    function requiredChildren(particle) {
+        var names = [],
+            i;
+
+        if (!particle || particle.min === 0) {
+            return names;
+        }
+
+        if (particle.kind === "element") {
+            for (i = 0; i < particle.min; i++) {
+                names.push(particle.name);
+            }
+        } else if (particle.kind === "choice" && particle.children.length === 1) {
+            // A choice with a single alternative is not really a choice
+            for (i = 0; i < particle.min; i++) {
+                names = names.concat(requiredChildren(particle.children[0]));
+            }
+        } else if (particle.kind === "sequence" || particle.kind === "all") {
+            for (i = 0; i < particle.min; i++) {
+                particle.children.forEach(function (child) {
+                    names = names.concat(requiredChildren(child));
+                });
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Returns the children to insert so that a content model is satisfied
+     * when requiredChildren() leaves the choice to the user: the first
+     * alternative of each required choice.
+     *
+     * @param {?Object} particle - content model from SchemaModel.parse()
+     * @return {Array.<string>} element names, empty if no child is needed
+     */
+    function placeholderChildren(particle) {
+        var names = [],
+            i;
+
+        if (!particle || particle.min === 0) {
+            return names;
+        }
+
+        for (i = 0; i < particle.min; i++) {
+            if (particle.kind === "element") {
+                names.push(particle.name);
+            } else if (particle.kind === "choice") {
+                names = names.concat(placeholderChildren(particle.children[0]));
+            } else {
+                particle.children.forEach(function (child) {
+                    names = names.concat(placeholderChildren(child));
+                });
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Builds the skeleton for an element.
+     *
+     * The returned text starts right after the '<', which the user has
+     * already typed. Tab stops are offsets into that text; the last one is
+     * where the cursor ends up once every field has been visited.
+     *
+     * @param {!{elements: Object}} schema - result of SchemaModel.parse()
+     * @param {!string} tagName - element to build
+     * @param {!string} indent - indentation of the line the tag starts on
+     * @param {!string} indentUnit - one level of indentation
+     * @return {?{text: string, tabStops: Array.<{start: number, end: number}>}}
+     *      null if the element is not in the schema
+     */
+    function build(schema, tagName, indent, indentUnit) {
+        var text = "",
+            tabStops = [];
+
+        if (!schema.elements[tagName]) {
+            return null;
+        }
+
+        function addStop() {
+            tabStops.push({ start: text.length, end: text.length });
+        }
+
+        function emit(name, level, isTop) {
+            var decl = schema.elements[name],
+                children = requiredChildren(decl.model),
+                lineIndent = indent + new Array(level + 1).join(indentUnit);
+
+            if (!children.length) {
+                children = placeholderChildren(decl.model);
+            }
+            if (!isTop) {
+                text += "\n" + lineIndent + "<";
+            }
+            text += name;
+
+            decl.attributeOrder.forEach(function (attrName) {
+                if (decl.attributes[attrName].use === "required") {
+                    text += " " + attrName + "=\"";
+                    addStop();
+                    text += "\"";
+                }
+            });
+
+            if (decl.contentType && !decl.empty) {
+                // Content sections are HTML or JavaScript and nearly always CDATA
+                text += "><![CDATA[";
+                addStop();
+                text += "]]></" + name + ">";
+            } else if (children.length) {
+                text += ">";
+                children.forEach(function (child) {
+                    emit(child, level + 1, false);
+                });
+                text += "\n" + lineIndent + "</" + name + ">";
+            } else {
+                text += "/>";
+            }
+        }
+
+        emit(tagName, 0, true);
+        addStop();
+
+        return { text: text, tabStops: tabStops };
+    }
+
+    /**
+     * Whether an element has content, and so is written with an end tag, or
+     * is self-closed like build() does. Parameters that only take attributes
+     * count as empty even where the schema declares them mixed.
+     *
+     * @param {!{elements: Object}} schema - result of SchemaModel.parse()
+     * @param {!string} tagName
+     * @return {?boolean} null if the element is not in the schema
+     */
+    function hasContent(schema, tagName) {
+        var decl = schema.elements[tagName];
+
+        if (!decl) {
+            return null;
+        }
+        return Boolean(decl.model || (decl.contentType && !decl.empty));
+    }
+
+    exports.requiredChildren    = requiredChildren;
+    exports.placeholderChildren = placeholderChildren;
+    exports.build               = build;
+    exports.hasContent          = hasContent;
+});
@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, unescape */
+
+/**
+ * Validation of a MuCow document that does not depend on Brackets: reads
+ * the output of xmllint run against mucow.xsd and adds the semantic and
+ * script checks. Used by the extension and by the command line validator.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var SemanticLinter  = require("SemanticLinter"),
+        ScriptLinter    = require("ScriptLinter"),
+        QuickFixes      = require("QuickFixes"),
+        XMLLintMessages = require("XMLLintMessages");
+
+    // XMLLint constants
+    var XSD_NAME  = "file.xsd",
+        FILE_NAME = "file.xml",
+        DELIMITER = ":",
+        LINE_NO_OFFSET = (FILE_NAME + DELIMITER).length;
+
+    // Arguments xmllint is run with; the schema and document are given
+    // these file names
+    var ARGUMENTS = ["--noout", "--schema", XSD_NAME, FILE_NAME];
+
+    /**
+     * Encodes a document the way xmllint reads it
+     * @param {!string} text
+     * @return {string} text with every character replaced by its UTF-8 bytes
+     */
+    function encodeUtf8(text) {
+        return unescape(encodeURIComponent(text));
+    }
+
+    /**
+     * Parses the results from xmlLint for errors
+     * @param {!string} errors - newline delimeted string of errors
+     * @returns {Array.{pos: {line: number, ch: number}, message: string, context: ?string, caret: ?number}}
+     *      context is the source line xmllint quoted and caret the offset in
+     *      it that it pointed at, for parser errors
+     */
+    function parseErrors(errors) {
+        var parts = errors.split("\n"),
+            results = [],
+            failed = false,
+            current;
+        
+        /*
+         * Errors look like:
+         * "file.xml:line: message\nline-text\n.....^" where (.) is a space and the number of spaces is the column where the error begins
+         * -or-
+         * "file.xml:line: message\n"
+         * -or-
+         * "file.xml fails to validate" // only kept when there is nothing else
+         */
+        
+        while(parts.length > 0) {
+            var onePart = parts.shift();
+            if (onePart.indexOf(FILE_NAME + DELIMITER) === 0) {
+                if (current) {
+                    results.push(current);
+                }
+
+                var delimOffset = onePart.indexOf(DELIMITER, LINE_NO_OFFSET);
+                
+                current = {
+                    message: onePart.substr(delimOffset + 1).trim(),
+                    pos: {
+                        ch: 0,
+                        line: parseInt(onePart.substring(LINE_NO_OFFSET, delimOffset)) - 1
+                    }
+                };
+            } else if (current && onePart.trim() === "^") {
+                current.pos.ch = onePart.indexOf("^");
+                current.caret = current.pos.ch;
+            } else if (onePart.indexOf(FILE_NAME + " fails to validate") === 0) {
+                // Checked first so the summary is not taken for quoted source
+                failed = true;
+            } else if (current && onePart) {
+                // The last line before the caret is the quoted source
+                current.context = onePart;
+            }
+        }
+            
+        if (current) {
+            results.push(current);
+        }
+        
+        if (failed && !results.length) {
+            results.push({ message: "The document does not validate against the MuCow schema", pos: { line: 0, ch: 0 } });
+        }
+        
+        return results;
+    }
+
+    /**
+     * Finds out whether xmllint could not compile the schema
+     * @param {!string} xmllint - output of xmllint
+     * @returns {?Array.<string>} what libxml found wrong with the schema, null
+     *      if it compiled
+     */
+    function parseSchemaErrors(xmllint) {
+        var parts = xmllint.split("\n"),
+            messages = [];
+
+        /*
+         * A schema that doesn't compile gives:
+         * "file.xsd:line: element element: Schemas parser error : message" (any number of them)
+         * "WXS schema file.xsd failed to compile"
+         */
+        if (xmllint.indexOf("WXS schema " + XSD_NAME + " failed to compile") === -1) {
+            return null;
+        }
+
+        parts.forEach(function (onePart) {
+            var at = onePart.indexOf(" error : ");
+            if (onePart.indexOf(XSD_NAME + DELIMITER) === 0 && at !== -1) {
+                var message = onePart.substr(at + " error : ".length).trim();
+                if (messages.indexOf(message) === -1) {
+                    messages.push(message);
+                }
+            }
+        });
+        return messages;
+    }
+
+    /**
+     * Combines the xmllint output with the semantic checks of a document
+     * @param {!string} text - document text that was validated
+     * @param {!string} xmllint - output of xmllint for the text
+     * @param {?Object} schema - result of SchemaModel.parse(), for the quick
+     *      fixes and the checks that depend on attribute types
+     * @param {?string=} schemaSource - names the project schemas merged into
+     *      mucow.xsd, for the error when the schema doesn't compile
+     * @returns {Array.{pos: {line: number, ch: number}, message: string, type: ?string}}
+     */
+    function collectErrors(text, xmllint, schema, schemaSource) {
+        var errors = [],
+            schemaErrors;
+        
+        xmllint = xmllint.trim();
+        schemaErrors = parseSchemaErrors(xmllint);
+        if (schemaErrors) {
+            // Nothing was validated, which must not pass for a clean result
+            errors = (schemaErrors.length ? schemaErrors : ["xmllint could not compile it"]).map(function (message) {
+                return {
+                    pos: { line: 0, ch: 0 },
+                    message: (schemaSource ? "The schema does not compile with " + schemaSource : "mucow.xsd does not compile") +
+                        ": " + message,
+                    type: SemanticLinter.Type.ERROR
+                };
+            });
+        } else if (xmllint !== (FILE_NAME + " validates")) {
+            // Fixes are found from the libxml wording, before it is rewritten
+            errors = XMLLintMessages.describe(QuickFixes.addFixes(parseErrors(xmllint), text, schema), text, schema);
+            if (!errors.length && xmllint.indexOf(FILE_NAME + " validates") === -1) {
+                errors.push({
+                    pos: { line: 0, ch: 0 },
+                    message: "xmllint could not validate the document: " + (xmllint.split("\n")[0] || "no output"),
+                    type: SemanticLinter.Type.ERROR
+                });
+            }
+        }
+        
+        // Parameter references and embedded scripts are beyond what the XSD can check
+        return errors.concat(SemanticLinter.lint(text, schema, errors), ScriptLinter.lint(text));
+    }
+
+    exports.XSD_NAME          = XSD_NAME;
+    exports.FILE_NAME         = FILE_NAME;
+    exports.ARGUMENTS         = ARGUMENTS;
+    exports.encodeUtf8        = encodeUtf8;
+    exports.parseErrors       = parseErrors;
+    exports.parseSchemaErrors = parseSchemaErrors;
+    exports.collectErrors     = collectErrors;
+});
@@ -0,0 +1,247 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Builds a model of a MuCow widget from its source: the declared parameters,
+ * the content sections and the {param_*} placeholders used inside them, and
+ * the locales of the string table.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var XMLParser = require("XMLParser");
+
+    // Elements whose body is emitted by Muse and may contain placeholders
+    var CONTENT_TAGS = ["headHTML", "documentReadyJS", "bodyBeginHTML", "pageItemHTML", "bodyEndHTML", "pageItemPosterHTML"];
+
+    // Elements under <parameters> that declare a named parameter
+    var PARAMETER_TAGS = ["text", "list", "url", "bool", "number", "builtIn", "color", "file"];
+
+    var PLACEHOLDER_PREFIX = "param_";
+
+    // Regex to find {param_*} placeholders.
+    var regexPlaceholder = /\{param_([\w\-]+)\}/g;
+
+    /**
+     * @constructor
+     * @param {!string} text - source of the widget
+     */
+    function WidgetModel(text) {
+        this.text = text;
+        this.document = XMLParser.parse(text);
+        this.root = this.document.rootElement();
+        this.parametersNode = null;
+        this.parameters = [];
+        this.sections = [];
+        this.contentSections = [];
+        this.placeholders = [];
+        this.stringTableNode = null;
+        this.locales = [];
+
+        this._collect();
+    }
+
+    /**
+     * @private
+     * Walks the document and fills in the parameter, content section and
+     * placeholder lists.
+     */
+    WidgetModel.prototype._collect = function () {
+        var self = this;
+
+        if (!this.root) {
+            return;
+        }
+
+        this.parametersNode = this.root.childElements("parameters")[0] || null;
+
+        this.root.childElements("parameters").forEach(function (parameters) {
+            parameters.childElements().forEach(function (child) {
+                if (child.name === "section") {
+                    self.sections.push({
+                        name: child.getAttributeValue("name"),
+                        nameAttr: child.getAttribute("name"),
+                        node: child
+                    });
+                    child.childElements().forEach(function (sectionChild) {
+                        self._addParameter(sectionChild, child);
+                    });
+                } else {
+                    self._addParameter(child, null);
+                }
+            });
+        });
+
+        this.stringTableNode = this.root.childElements("stringTable")[0] || null;
+        if (this.stringTableNode) {
+            this.stringTableNode.childElements("locale").forEach(function (locale) {
+                self._addLocale(locale);
+            });
+        }
+
+        this.root.walk(function (node) {
+            if (node.type === "element" && CONTENT_TAGS.indexOf(node.name) !== -1) {
+                self.contentSections.push(node);
+                self._collectPlaceholders(node);
+                return false;
+            }
+        });
+    };
+
+    /**
+     * @private
+     * Records a parameter declaration
+     * @param {!XMLNode} node - the declaring element
+     * @param {?XMLNode} section - the enclosing <section>, if any
+     */
+    WidgetModel.prototype._addParameter = function (node, section) {
+        var nameAttr = node.getAttribute("name");
+
+        if (PARAMETER_TAGS.indexOf(node.name) === -1 || !nameAttr) {
+            return;
+        }
+
+        this.parameters.push({
+            name: nameAttr.value,
+            type: node.name,
+            label: node.getAttributeValue("label"),
+            toolTip: node.getAttributeValue("toolTip"),
+            defaultValue: node.getAttributeValue("defaultValue"),
+            node: node,
+            nameAttr: nameAttr,
+            section: section
+        });
+    };
+
+    /**
+     * @private
+     * Records a <locale> of the string table and its strings
+     * @param {!XMLNode} node
+     */
+    WidgetModel.prototype._addLocale = function (node) {
+        this.locales.push({
+            name: node.getAttributeValue("name"),
+            nameAttr: node.getAttribute("name"),
+            node: node,
+            strings: node.childElements("string").filter(function (string) {
+                return string.getAttribute("keyString");
+            }).map(function (string) {
+                return {
+                    key: string.getAttributeValue("keyString"),
+                    keyAttr: string.getAttribute("keyString"),
+                    translation: string.getAttributeValue("translation"),
+                    node: string
+                };
+            })
+        });
+    };
+
+    /**
+     * @private
+     * Records every placeholder found in a content section
+     * @param {!XMLNode} section
+     */
+    WidgetModel.prototype._collectPlaceholders = function (section) {
+        var start = section.contentStart(),
+            body = this.text.substring(start, section.contentEnd()),
+            match;
+
+        regexPlaceholder.lastIndex = 0;
+        while ((match = regexPlaceholder.exec(body)) !== null) {
+            this.placeholders.push({
+                name: match[1],
+                start: start + match.index,
+                end: start + match.index + match[0].length,
+                section: section
+            });
+        }
+    };
+
+    /**
+     * Returns the declarations of the named parameter
+     * @param {!string} name
+     * @return {Array.<Object>} all parameters declared with that name
+     */
+    WidgetModel.prototype.findParameters = function (name) {
+        return this.parameters.filter(function (param) {
+            return param.name === name;
+        });
+    };
+
+    /**
+     * Returns the content section containing an offset, if any
+     * @param {!number} offset
+     * @return {?XMLNode}
+     */
+    WidgetModel.prototype.contentSectionAt = function (offset) {
+        var i, section;
+        for (i = 0; i < this.contentSections.length; i++) {
+            section = this.contentSections[i];
+            if (offset >= section.contentStart() && offset <= section.contentEnd()) {
+                return section;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Returns the keys of the string table, across all locales
+     * @return {Array.<string>} sorted, without duplicates
+     */
+    WidgetModel.prototype.stringKeys = function () {
+        var keys = [];
+
+        this.locales.forEach(function (locale) {
+            locale.strings.forEach(function (string) {
+                if (keys.indexOf(string.key) === -1) {
+                    keys.push(string.key);
+                }
+            });
+        });
+        return keys.sort();
+    };
+
+    var _cached = null;
+
+    /**
+     * Returns the model for a text, reusing the last one built when the text
+     * has not changed. Hint providers call this on every keystroke.
+     * @param {!string} text
+     * @return {WidgetModel}
+     */
+    function getModel(text) {
+        if (!_cached || _cached.text !== text) {
+            _cached = new WidgetModel(text);
+        }
+        return _cached;
+    }
+
+    exports.CONTENT_TAGS        = CONTENT_TAGS;
+    exports.PARAMETER_TAGS      = PARAMETER_TAGS;
+    exports.PLACEHOLDER_PREFIX  = PLACEHOLDER_PREFIX;
+    exports.WidgetModel         = WidgetModel;
+    exports.getModel            = getModel;
+});
@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Lists the structure of a widget for navigation: the widget itself, its
+ * sections and parameters, the locales of the string table and the content
+ * sections, including those that are only output for a chosen option.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    // Option elements that can hold content sections of their own
+    var OPTION_TAGS = ["trueVal", "falseVal", "value"];
+
+    /**
+     * @private
+     * Creates an entry, spanning the name attribute when there is one and
+     * the tag name otherwise
+     */
+    function _entry(kind, node, label, detail, depth) {
+        var nameAttr = node.getAttribute("name"),
+            hasName = nameAttr && nameAttr.valueStart !== -1;
+
+        return {
+            kind: kind,
+            label: label,
+            detail: detail,
+            depth: depth,
+            node: node,
+            start: hasName ? nameAttr.valueStart : node.start + 1,
+            end: hasName ? nameAttr.valueEnd : node.start + 1 + node.name.length
+        };
+    }
+
+    /**
+     * @private
+     * Quotes a label for the detail column
+     */
+    function _quote(text) {
+        return text ? " \"" + text + "\"" : "";
+    }
+
+    /**
+     * @private
+     * Describes where a content section nested in an option is output
+     * @return {string} empty for top level content sections
+     */
+    function _context(node) {
+        var option = node.parent;
+
+        while (option && option.type === "element" && OPTION_TAGS.indexOf(option.name) === -1) {
+            option = option.parent;
+        }
+        if (!option || option.type !== "element") {
+            return "";
+        }
+
+        var control = option.parent,
+            controlName = control && control.type === "element" ? control.getAttributeValue("name") : null;
+
+        if (option.name === "value") {
+            return "when " + (controlName || "list") + " is " + _quote(option.getAttributeValue("name")).trim();
+        }
+        return "when " + (controlName || "bool") + " is " + (option.name === "trueVal" ? "true" : "false");
+    }
+
+    /**
+     * @private
+     * Returns the depth of the parameter or section entry a node is inside of
+     * @return {number} 0 if it isn't inside one
+     */
+    function _ownerDepth(entries, node) {
+        var ancestor, i;
+
+        for (ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+            for (i = 0; i < entries.length; i++) {
+                if (entries[i].node === ancestor && entries[i].kind !== "widget") {
+                    return entries[i].depth;
+                }
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Builds the outline of a widget, in document order
+     * @param {!WidgetModel} model
+     * @return {Array.<{kind: string, label: string, detail: string, depth: number, node: XMLNode, start: number, end: number}>}
+     *      kind is "widget", "section", "parameter", "stringTable", "locale" or
+     *      "content"; start and end are the range to select for the entry
+     */
+    function build(model) {
+        var entries = [];
+
+        if (!model.root) {
+            return entries;
+        }
+
+        entries.push(_entry("widget", model.root, model.root.getAttributeValue("name") || model.root.name, model.root.name, 0));
+
+        function addParameter(node, depth) {
+            if (node.name === "section") {
+                entries.push(_entry("section", node, node.getAttributeValue("name") || node.getAttributeValue("label") || "section",
+                    "section" + _quote(node.getAttributeValue("label")), depth));
+                node.childElements().forEach(function (child) {
+                    addParameter(child, depth + 1);
+                });
+            } else if (node.getAttributeValue("name")) {
+                entries.push(_entry("parameter", node, node.getAttributeValue("name"),
+                    node.name + _quote(node.getAttributeValue("label")), depth));
+            }
+        }
+
+        if (model.parametersNode) {
+            model.parametersNode.childElements().forEach(function (child) {
+                addParameter(child, 1);
+            });
+        }
+
+        if (model.stringTableNode) {
+            entries.push(_entry("stringTable", model.stringTableNode, "stringTable",
+                model.locales.length + (model.locales.length === 1 ? " locale" : " locales"), 1));
+            model.locales.forEach(function (locale) {
+                entries.push(_entry("locale", locale.node, locale.name || "locale",
+                    "locale, " + locale.strings.length + (locale.strings.length === 1 ? " string" : " strings"), 2));
+            });
+        }
+
+        // Content sections of an option go under its bool or list
+        model.contentSections.forEach(function (node) {
+            entries.push(_entry("content", node, node.name, _context(node), _ownerDepth(entries, node) + 1));
+        });
+
+        return entries.sort(function (a, b) {
+            return a.node.start - b.node.start;
+        });
+    }
+
+    exports.build = build;
+});
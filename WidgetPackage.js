@@ -0,0 +1,183 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Works out what goes into a widget library package: the local assets a
+ * widget references (the defaults of <file> parameters, and the scripts,
+ * stylesheets and images linked from its content sections), where they go
+ * in the package, and the manifest listing them.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var WidgetModel = require("WidgetModel");
+
+    // Name of the manifest in the package
+    var MANIFEST_NAME = "manifest.json";
+
+    // Start tags in the content sections that link an asset, and the
+    // attribute holding its URL
+    var LINKS = [
+        { kind: "script", regex: /<script\b[^>]*?\bsrc\s*=\s*(["'])(.*?)\1/gi },
+        { kind: "stylesheet", regex: /<link\b(?=[^>]*\brel\s*=\s*["']?stylesheet)[^>]*?\bhref\s*=\s*(["'])(.*?)\1/gi },
+        { kind: "image", regex: /<img\b[^>]*?\bsrc\s*=\s*(["'])(.*?)\1/gi }
+    ];
+
+    // URLs that are not files next to the widget
+    var regexExternal = /^(?:[a-z][a-z0-9+.\-]*:|\/\/|#)/i;
+
+    /**
+     * Lists the assets a widget references
+     * @param {!WidgetModel} model
+     * @return {Array.<{kind: string, reference: string}>} kind is "file",
+     *      "script", "stylesheet" or "image"; references to other sites are
+     *      left out
+     */
+    function references(model) {
+        var result = [];
+
+        function add(kind, reference) {
+            reference = reference.trim();
+            if (reference && !regexExternal.test(reference)) {
+                result.push({ kind: kind, reference: reference });
+            }
+        }
+
+        model.parameters.forEach(function (param) {
+            if (param.type === "file" && param.defaultValue) {
+                add("file", param.defaultValue);
+            }
+        });
+
+        model.contentSections.forEach(function (section) {
+            var content = section.textContent();
+
+            LINKS.forEach(function (link) {
+                var match;
+                link.regex.lastIndex = 0;
+                while ((match = link.regex.exec(content)) !== null) {
+                    add(link.kind, match[2]);
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Finds where a referenced asset is, relative to the widget's folder
+     * @param {!string} reference - URL as written in the widget
+     * @return {{path: ?string, reason: ?string}} the path inside the package,
+     *      with "/" separators, or the reason it can't be resolved
+     */
+    function resolve(reference) {
+        var url = reference.replace(/[?#].*$/, ""),
+            parts = [];
+
+        if (/\{param_[\w\-]+\}/.test(url)) {
+            return { path: null, reason: "depends on a parameter" };
+        }
+        if (url.charAt(0) === "/") {
+            return { path: null, reason: "is relative to the site root" };
+        }
+        try {
+            url = decodeURIComponent(url);
+        } catch (e) {
+            // Not escaped, e.g. a file name with a "%"
+        }
+
+        var outside = url.split(/[\/\\]/).some(function (part) {
+            if (part === "..") {
+                return parts.pop() === undefined;
+            }
+            if (part && part !== ".") {
+                parts.push(part);
+            }
+            return false;
+        });
+
+        if (outside) {
+            return { path: null, reason: "is outside the widget folder" };
+        }
+        if (!parts.length) {
+            return { path: null, reason: "is not a file" };
+        }
+        return { path: parts.join("/"), reason: null };
+    }
+
+    /**
+     * Plans the package of a widget
+     * @param {!string} text - source of the widget
+     * @return {{references: Array.<{kind: string, reference: string, path: ?string, reason: ?string}>, name: ?string}}
+     *      the references with their path in the package or the reason they
+     *      can't be resolved, each file once, and the widget name
+     */
+    function plan(text) {
+        var model = WidgetModel.getModel(text),
+            seen = {};
+
+        return {
+            name: model.root ? model.root.getAttributeValue("name") : null,
+            references: references(model).map(function (ref) {
+                var resolved = resolve(ref.reference);
+                return { kind: ref.kind, reference: ref.reference, path: resolved.path, reason: resolved.reason };
+            }).filter(function (ref) {
+                var key = ref.path || ref.reference;
+                if (seen.hasOwnProperty(key)) {
+                    return false;
+                }
+                seen[key] = true;
+                return true;
+            })
+        };
+    }
+
+    /**
+     * Writes the manifest of a package
+     * @param {!{widget: ?string, file: string,
+     *      included: Array.<{kind: string, reference: string, path: string}>,
+     *      unresolved: Array.<{kind: string, reference: string, reason: string}>}} contents
+     * @return {string} JSON text
+     */
+    function manifest(contents) {
+        return JSON.stringify({
+            widget: contents.widget,
+            file: contents.file,
+            included: contents.included.map(function (ref) {
+                return { path: ref.path, kind: ref.kind, reference: ref.reference };
+            }),
+            unresolved: contents.unresolved.map(function (ref) {
+                return { reference: ref.reference, kind: ref.kind, reason: ref.reason };
+            })
+        }, null, 4) + "\n";
+    }
+
+    exports.MANIFEST_NAME   = MANIFEST_NAME;
+    exports.references      = references;
+    exports.resolve         = resolve;
+    exports.plan            = plan;
+    exports.manifest        = manifest;
+});
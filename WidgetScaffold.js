@@ -0,0 +1,274 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * Generates the skeleton of a new widget: the <HTMLWidget> element, a
+ * parameter of each chosen type, an optional string table and content
+ * sections that use every parameter.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var FormatVersions = require("FormatVersions");
+
+    // Parameter types that can be generated, in the order they are offered
+    var PARAMETER_TYPES = ["text", "number", "bool", "list", "color", "url", "file", "builtIn"];
+
+    // builtIn names used for generated builtIn parameters, in order
+    var BUILT_IN_NAMES = ["width", "height", "itemUID", "siteUID", "pageTitle", "pageURL", "siteURL", "siteDomain", "locale", "language", "country"];
+
+    /**
+     * @private
+     * Escapes text for an attribute value
+     */
+    function _escape(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * @private
+     * Writes a start tag with its attributes, in the order given
+     * @param {string} name
+     * @param {Array.<Array.<string>>} attrs - [name, value] pairs
+     * @param {boolean} empty - whether to close the element in the tag
+     */
+    function _startTag(name, attrs, empty) {
+        return "<" + name + attrs.map(function (attr) {
+            return " " + attr[0] + "=\"" + _escape(attr[1]) + "\"";
+        }).join("") + (empty ? "/>" : ">");
+    }
+
+    /**
+     * Lists the choices the chosen formatNumber doesn't support
+     *
+     * @param {!{formatNumber: number, localization: string, isResizable: boolean,
+     *      isResponsive: boolean, parameterTypes: Array.<string>, locales: Array.<string>}} options
+     * @return {Array.<string>} messages; empty when the widget can be generated
+     */
+    function check(options) {
+        var format = options.formatNumber,
+            problems = [];
+
+        function need(minimum, what) {
+            if (minimum > format) {
+                problems.push(what + " " + FormatVersions.requirement(minimum));
+            }
+        }
+
+        if (!options.name || !options.name.trim()) {
+            problems.push("The widget needs a name");
+        }
+        need(FormatVersions.valueMinimum("HTMLWidget", "localization", options.localization), "localization \"" + options.localization + "\"");
+        if (options.isResizable) {
+            need(FormatVersions.attributeMinimum("HTMLWidget", "isResizable"), "isResizable");
+        }
+        if (options.isResponsive) {
+            need(FormatVersions.attributeMinimum("HTMLWidget", "isResponsive"), "isResponsive");
+        }
+        options.parameterTypes.forEach(function (type) {
+            need(FormatVersions.elementMinimum(type), "A " + type + " parameter");
+        });
+        if (options.localization === "stringTable" && !options.locales.length) {
+            problems.push("Localization with a stringTable needs at least one locale");
+        }
+        return problems;
+    }
+
+    /**
+     * @private
+     * Describes the generated parameters
+     * @param {Array.<string>} types
+     * @param {number} format - the builtIn names of later formats are not used
+     * @return {Array.<{type: string, name: string, label: ?string, attrs: Array, body: ?Array.<string>}>}
+     */
+    function _parameters(types, format) {
+        var counts = {},
+            builtIns = 0,
+            builtInNames = BUILT_IN_NAMES.filter(function (name) {
+                return FormatVersions.valueMinimum("builtIn", "name", name) <= format;
+            });
+
+        return types.map(function (type) {
+            counts[type] = (counts[type] || 0) + 1;
+
+            var name = type + counts[type],
+                label = type.charAt(0).toUpperCase() + type.substr(1) + " " + counts[type],
+                param = { type: type, name: name, label: label, attrs: [], body: null };
+
+            switch (type) {
+            case "text":
+                param.attrs.push(["defaultValue", "Text"]);
+                break;
+            case "number":
+                param.attrs.push(["defaultValue", "50"], ["min", "0"], ["max", "100"]);
+                break;
+            case "bool":
+                param.attrs.push(["defaultValue", "true"]);
+                param.body = [
+                    _startTag("trueVal", [["value", "true"]], true),
+                    _startTag("falseVal", [["value", "false"]], true)
+                ];
+                break;
+            case "list":
+                param.attrs.push(["defaultValue", "first"]);
+                param.body = [
+                    _startTag("value", [["name", "first"], ["label", "First"]], true),
+                    _startTag("value", [["name", "second"], ["label", "Second"]], true)
+                ];
+                break;
+            case "color":
+                param.attrs.push(["defaultValue", "#FF0000"], ["formatHexColor", "true"]);
+                break;
+            case "url":
+                param.attrs.push(["defaultValue", "http://www.example.com/"]);
+                break;
+            case "file":
+                param.attrs.push(["fileTypes", "jpg,png,gif"]);
+                break;
+            case "builtIn":
+                // builtIns are named after the value Muse supplies and have no label
+                param.name = builtInNames[builtIns++ % builtInNames.length];
+                param.label = null;
+                break;
+            }
+            return param;
+        }).filter(function (param, i, params) {
+            // There are only so many builtIn values
+            return params.map(function (other) {
+                return other.name;
+            }).indexOf(param.name) === i;
+        });
+    }
+
+    /**
+     * Generates the source of a new widget. The options should have passed
+     * check().
+     *
+     * @param {!{name: string, formatNumber: number, localization: string,
+     *      isResizable: boolean, isResponsive: boolean, parameterTypes: Array.<string>,
+     *      locales: Array.<string>, indentUnit: ?string}} options
+     * @return {string}
+     */
+    function generate(options) {
+        var indent = options.indentUnit || "    ",
+            useStringTable = options.localization === "stringTable",
+            params = _parameters(options.parameterTypes, options.formatNumber),
+            strings = [],
+            rootAttrs = [
+                ["name", options.name.trim()],
+                ["formatNumber", String(options.formatNumber)],
+                ["localization", options.localization],
+                ["defaultWidth", "300"],
+                ["defaultHeight", "200"]
+            ],
+            lines = [];
+
+        function line(depth, text) {
+            lines.push(new Array(depth + 1).join(indent) + text);
+        }
+
+        if (options.isResizable) {
+            rootAttrs.push(["isResizable", "true"]);
+        }
+        if (options.isResponsive) {
+            rootAttrs.push(["isResponsive", "true"]);
+        }
+
+        line(0, "<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+        line(0, _startTag("HTMLWidget", rootAttrs, false));
+
+        if (params.length) {
+            line(1, "<parameters>");
+            params.forEach(function (param) {
+                var attrs = [["name", param.name]];
+
+                if (param.label) {
+                    // With a string table, labels are keys that are translated
+                    if (useStringTable) {
+                        strings.push({ key: param.name + ".label", translation: param.label });
+                        attrs.push(["label", param.name + ".label"]);
+                    } else {
+                        attrs.push(["label", param.label]);
+                    }
+                }
+                attrs = attrs.concat(param.attrs);
+
+                if (param.body) {
+                    line(2, _startTag(param.type, attrs, false));
+                    param.body.forEach(function (child) {
+                        line(3, child);
+                    });
+                    line(2, "</" + param.type + ">");
+                } else {
+                    line(2, _startTag(param.type, attrs, true));
+                }
+            });
+            line(1, "</parameters>");
+        }
+
+        if (useStringTable) {
+            line(1, "<stringTable>");
+            options.locales.forEach(function (locale) {
+                line(2, _startTag("locale", [["name", locale]], false));
+                if (!strings.length) {
+                    strings.push({ key: "widget.name", translation: options.name.trim() });
+                }
+                strings.forEach(function (string) {
+                    line(3, _startTag("string", [["keyString", string.key], ["translation", string.translation]], true));
+                });
+                line(2, "</locale>");
+            });
+            line(1, "</stringTable>");
+        }
+
+        line(1, "<headHTML><![CDATA[");
+        line(1, "<style>");
+        line(2, ".widget-placeholder { font-family: sans-serif; }");
+        line(1, "</style>");
+        line(1, "]]></headHTML>");
+
+        line(1, "<pageItemHTML><![CDATA[");
+        line(1, "<div class=\"widget-placeholder\">");
+        params.forEach(function (param) {
+            line(2, "<p>" + param.name + ": {param_" + param.name + "}</p>");
+        });
+        line(1, "</div>");
+        line(1, "]]></pageItemHTML>");
+
+        line(1, "<documentReadyJS><![CDATA[");
+        line(1, "// Runs once the page has loaded");
+        line(1, "]]></documentReadyJS>");
+
+        line(0, "</HTMLWidget>");
+
+        return lines.join("\n") + "\n";
+    }
+
+    exports.PARAMETER_TYPES = PARAMETER_TYPES;
+    exports.check           = check;
+    exports.generate        = generate;
+});
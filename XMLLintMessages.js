@@ -0,0 +1,347 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, unescape */
+
+/**
+ * Rewrites the errors read from xmllint in MuCow terms: each one gets the
+ * range of the element or attribute it is about, a severity, and a message
+ * that names the elements rather than quoting the libxml wording.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var XMLParser       = require("XMLParser"),
+        ContentModel    = require("ContentModel"),
+        AttributeValues = require("AttributeValues"),
+        SemanticLinter  = require("SemanticLinter");
+
+    var Type = SemanticLinter.Type;
+
+    // "element list: Schemas validity error : Element 'list': ..." or "parser error : ..."
+    var regexHeader         = /^(?:element [\w\-:]+: )?(.*?) (error|warning) : (.*)$/,
+        regexSubject        = /^Element '([\w\-:]+)'(?:, attribute '([\w\-:]+)')?: (.*)$/;
+
+    // Schema errors, after the "Element 'x':" subject
+    var regexMissingChild   = /^Missing child element\(s\)\. Expected is (?:one of )?\( ([^)]*) \)/,
+        regexNotExpected    = /^This element is not expected\.(?: Expected is (?:one of )?\( ([^)]*) \))?/,
+        regexMissingAttr    = /^The attribute '([\w\-:]+)' is required but missing/,
+        regexAttrNotAllowed = /^The attribute '([\w\-:]+)' is not allowed/,
+        regexEnumeration    = /^\[facet 'enumeration'\] The value '(.*)' is not an element of the set \{(.*)\}/,
+        regexAtomicType     = /^'(.*)' is not a valid value of the atomic type 'xs:(\w+)'/,
+        regexLocalType      = /^'(.*)' is not a valid value of the local atomic type/,
+        regexMaxLength      = /^\[facet 'maxLength'\] .* maximum length of '(\d+)'/,
+        regexElementOnly    = /^Character content other than whitespace is not allowed/,
+        regexNoDeclaration  = /^No matching global declaration available for the validation root/;
+
+    // Parser errors
+    var regexInvalidChar    = /^PCDATA invalid Char value (\d+)/,
+        regexTagMismatch    = /^Opening and ending tag mismatch: ([\w\-:]+) line (\d+) and ([\w\-:]+)/,
+        regexPrematureEnd   = /^Premature end of data in tag ([\w\-:]+) line (\d+)/;
+
+    // How the XSD types read in a message
+    var TYPE_NAMES = {
+        "boolean": "true or false",
+        "int": "a whole number",
+        "integer": "a whole number",
+        "nonNegativeInteger": "a whole number",
+        "positiveInteger": "a whole number above 0",
+        "decimal": "a number",
+        "float": "a number",
+        "double": "a number",
+        "anyURI": "a URI"
+    };
+
+    /**
+     * @private
+     * Splits the "a, b, c" list of an "Expected is" clause
+     * @param {?string} list
+     * @return {Array.<string>}
+     */
+    function _names(list) {
+        return (list || "").split(",").map(function (name) {
+            return name.trim();
+        }).filter(function (name) {
+            return (/^[\w\-:]+$/).test(name);
+        });
+    }
+
+    /**
+     * @private
+     * Lists element names as "<a>, <b> or <c>"
+     */
+    function _tagList(names) {
+        var tags = names.map(function (name) {
+            return "<" + name + ">";
+        });
+        return tags.length > 1 ? tags.slice(0, -1).join(", ") + " or " + tags[tags.length - 1] : tags.join("");
+    }
+
+    /**
+     * @private
+     * The message for missing children
+     */
+    function _missingChild(tag, expected, schema) {
+        var decl = schema && schema.elements[tag],
+            particle = expected.length === 1 && decl && ContentModel.elementParticles(decl.model)[expected[0]];
+
+        if (particle && particle.min > 1) {
+            return "<" + tag + "> needs at least " + particle.min + " <" + expected[0] + "> children";
+        }
+        if (expected.length === 1) {
+            return "<" + tag + "> needs a <" + expected[0] + "> child";
+        }
+        return "<" + tag + "> is missing a child: expected " + _tagList(expected);
+    }
+
+    /**
+     * @private
+     * The message for an element in the wrong place
+     */
+    function _notExpected(node, tag, expected, schema) {
+        var parent = node && node.parent && node.parent.type === "element" ? node.parent.name : null;
+
+        if (schema && !schema.elements[tag]) {
+            return "<" + tag + "> is not a MuCow element" + (expected.length ? "; expected " + _tagList(expected) : "");
+        }
+        if (!expected.length) {
+            return parent ? "<" + tag + "> is not allowed here in <" + parent + ">" : "<" + tag + "> is not allowed here";
+        }
+        return "<" + tag + "> is not allowed here; expected " + _tagList(expected);
+    }
+
+    /**
+     * @private
+     * Rewrites a schema error about an element or one of its attributes
+     * @return {?string} null when the error only repeats the one before it
+     */
+    function _schemaMessage(node, tag, attrName, body, schema) {
+        var match,
+            what = attrName ? "'" + attrName + "' on <" + tag + ">" : "The content of <" + tag + ">";
+
+        if ((match = regexMissingChild.exec(body))) {
+            return _missingChild(tag, _names(match[1]), schema);
+        }
+        if ((match = regexNotExpected.exec(body))) {
+            return _notExpected(node, tag, _names(match[1]), schema);
+        }
+        if ((match = regexMissingAttr.exec(body))) {
+            return "<" + tag + "> needs a '" + match[1] + "' attribute";
+        }
+        if ((match = regexAttrNotAllowed.exec(body))) {
+            return "'" + match[1] + "' is not an attribute of <" + tag + ">";
+        }
+        if ((match = regexEnumeration.exec(body))) {
+            return "'" + match[1] + "' is not a valid " + (attrName ? attrName + " for <" + tag + ">" : "content for <" + tag + ">") +
+                "; use one of: " + _names(match[2].replace(/'/g, "")).join(", ");
+        }
+        if ((match = regexAtomicType.exec(body))) {
+            // SemanticLinter leaves rejected URIs to this message, so it says what is wrong
+            var problem = match[2] === "anyURI" ? AttributeValues.uriProblem(match[1]) : null;
+            return what + " must be " + (TYPE_NAMES[match[2]] || "a valid xs:" + match[2]) + ", not '" + match[1] + "'" +
+                (problem ? ": it " + problem : "");
+        }
+        if (regexLocalType.test(body)) {
+            // libxml follows every facet error with this one
+            return null;
+        }
+        if ((match = regexMaxLength.exec(body))) {
+            return match[1] === "0" ? "<" + tag + "> must be empty" : what + " is longer than " + match[1] + " characters";
+        }
+        if (regexElementOnly.test(body)) {
+            return "<" + tag + "> can only contain elements, not text";
+        }
+        if (regexNoDeclaration.test(body) && schema) {
+            return "The root element must be " + _tagList(schema.rootElements) + ", not <" + tag + ">";
+        }
+        return "<" + tag + ">" + (attrName ? " '" + attrName + "'" : "") + ": " + body;
+    }
+
+    /**
+     * @private
+     * Finds the character xmllint pointed at. xmllint quotes up to 80 bytes
+     * of the line around the error and puts a caret under the offending one,
+     * so the quote is looked up in the UTF-8 bytes of the line and the byte
+     * column converted back to characters.
+     * @return {?number} offset in the document
+     */
+    function _caretOffset(error, doc, lines) {
+        var line = lines[error.pos.line];
+
+        if (line === undefined || error.caret === undefined || !error.context) {
+            return null;
+        }
+
+        var bytes = unescape(encodeURIComponent(line)),
+            at = bytes.indexOf(error.context),
+            column;
+
+        if (at === -1) {
+            return null;
+        }
+        column = decodeURIComponent(escape(bytes.substr(0, Math.min(at + error.caret, bytes.length)))).length;
+        return doc.indexFromPos({ line: error.pos.line, ch: column });
+    }
+
+    /**
+     * @private
+     * Rewrites a parser error
+     * @return {string}
+     */
+    function _parserMessage(body, inCDATA, offset, text) {
+        var match;
+
+        if ((match = regexInvalidChar.exec(body))) {
+            var code = ("000" + parseInt(match[1], 10).toString(16).toUpperCase()).slice(-4);
+            return "Character U+" + code + " is not allowed in XML" + (inCDATA ? ", not even in a CDATA section" : "");
+        }
+        if (body.indexOf("CData section not finished") === 0) {
+            return "The CDATA section is not closed with ]]>";
+        }
+        if (body.indexOf("StartTag: invalid element name") === 0 && text.charAt(offset) === "<") {
+            return "'<' starts a tag; write &lt; for a literal '<', or put the text in a CDATA section";
+        }
+        if ((match = regexTagMismatch.exec(body))) {
+            return "</" + match[3] + "> does not match <" + match[1] + "> on line " + match[2];
+        }
+        if ((match = regexPrematureEnd.exec(body))) {
+            return "<" + match[1] + "> on line " + match[2] + " is never closed";
+        }
+        return body;
+    }
+
+    /**
+     * Gives the errors from Validator.parseErrors() a range, a severity and
+     * a MuCow message. Errors that only repeat the one before them are
+     * dropped, and so is the cascade of parser errors after an unreadable
+     * CDATA section.
+     *
+     * @param {!Array.<{pos: {line: number, ch: number}, message: string, context: ?string, caret: ?number}>} errors
+     * @param {!string} text - document text that was validated
+     * @param {?Object} schema - result of SchemaModel.parse(), for the
+     *      minimum number of children and the names of the root elements
+     * @return {Array.<{pos: {line: number, ch: number}, endPos: ?{line: number, ch: number}, message: string, type: string}>}
+     */
+    function describe(errors, text, schema) {
+        var doc = XMLParser.parse(text),
+            lines = text.split("\n"),
+            results = [],
+            brokenCDATA = false;
+
+        errors.forEach(function (error) {
+            var header = regexHeader.exec(error.message),
+                subject,
+                message;
+
+            if (!header) {
+                error.type = Type.ERROR;
+                results.push(error);
+                return;
+            }
+
+            error.type = header[2] === "warning" ? Type.WARNING : Type.ERROR;
+
+            if (header[1] === "parser") {
+                if (brokenCDATA) {
+                    return;
+                }
+
+                var offset = _caretOffset(error, doc, lines),
+                    node = offset === null ? null : doc.elementAt(offset),
+                    inCDATA = false,
+                    previous = results[results.length - 1];
+
+                if (offset !== null && node) {
+                    node.children.forEach(function (child) {
+                        if (child.type === "cdata" && offset >= child.start && offset <= child.end) {
+                            inCDATA = true;
+                        }
+                    });
+                }
+                if (offset !== null && header[3].indexOf("StartTag: invalid element name") === 0 && text.charAt(offset - 1) === "<") {
+                    offset--;
+                }
+
+                message = _parserMessage(header[3], inCDATA || header[3].indexOf("CData section") === 0, offset, text);
+
+                if (offset !== null) {
+                    error.pos = doc.posFromIndex(offset);
+                    error.endPos = doc.posFromIndex(Math.min(offset + 1, text.length));
+                }
+
+                // An invalid character ends the CDATA section early; report
+                // the character instead, and nothing that follows from it
+                if (previous && previous.cdataUnfinished && regexInvalidChar.test(header[3]) &&
+                        previous.pos.line === error.pos.line && previous.pos.ch === error.pos.ch) {
+                    previous.message = _parserMessage(header[3], true, offset, text);
+                    brokenCDATA = true;
+                    return;
+                }
+                if (header[3].indexOf("CData section not finished") === 0) {
+                    error.cdataUnfinished = true;
+                }
+                error.message = message;
+                results.push(error);
+                return;
+            }
+
+            subject = regexSubject.exec(header[3]);
+            if (!subject) {
+                error.message = header[3];
+                results.push(error);
+                return;
+            }
+
+            var tag = subject[1],
+                attrName = subject[2],
+                element = doc.findElement(tag, error.pos.line),
+                attr = element && attrName && element.getAttribute(attrName);
+
+            message = _schemaMessage(element, tag, attrName, subject[3], schema);
+            if (message === null) {
+                return;
+            }
+            error.message = message;
+
+            if (attr) {
+                error.pos = doc.posFromIndex(attr.start);
+                error.endPos = doc.posFromIndex(attr.end);
+            } else if (element) {
+                error.pos = doc.posFromIndex(element.start + 1);
+                error.endPos = doc.posFromIndex(element.start + 1 + element.name.length);
+            }
+            results.push(error);
+        });
+
+        results.forEach(function (error) {
+            delete error.context;
+            delete error.caret;
+            delete error.cdataUnfinished;
+        });
+        return results;
+    }
+
+    exports.describe    = describe;
+});
@@ -0,0 +1,212 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, Worker, validateXML, console */
+
+/**
+ * Runs xmllint in XMLLintWorker.js and hands back its raw output.
+ *
+ * One document is validated at a time. A request for a file supersedes an
+ * earlier one for the same file that is still waiting or running: the
+ * earlier callers get the newer result. A superseded run can't be
+ * interrupted, but its output is dropped by its id; the worker is kept, so
+ * xmllint is only loaded once. If the worker can't be started, xmllint is
+ * loaded on the main thread instead.
+ */
+define(function (require, exports, module) {
+    "use strict";
+
+    var ExtensionUtils = brackets.getModule("utils/ExtensionUtils");
+
+    var _schema = null,
+        _args = null,
+        _worker = null,
+        _nextId = 1,
+        _running = null,    // {id, key, deferreds}
+        _waiting = [],      // [{key, xml, deferreds}], oldest first
+        _useMainThread = false;
+
+    var _pump;
+
+    /**
+     * @private
+     * Settles the running request and starts the next one
+     * @param {boolean} ok - whether xmllint ran
+     * @param {string} value - xmllint output, or the error message
+     */
+    function _finish(ok, value) {
+        var deferreds = _running.deferreds;
+        _running = null;
+
+        deferreds.forEach(function (deferred) {
+            if (ok) {
+                deferred.resolve(value);
+            } else {
+                deferred.reject(value);
+            }
+        });
+        _pump();
+    }
+
+    /**
+     * @private
+     * Validates the running request on the main thread, loading xmllint on
+     * first use
+     */
+    function _runOnMainThread() {
+        require(["thirdparty/xmllint"], function () {
+            try {
+                _finish(true, validateXML({ xml: _running.xml, schema: _schema, "arguments": _args.slice() }));
+            } catch (e) {
+                _finish(false, e.message || String(e));
+            }
+        });
+    }
+
+    /**
+     * @private
+     * Handles a reply from the worker
+     * @param {{type: string, id: number, output: string, message: string}} msg
+     */
+    function _onMessage(msg) {
+        if (_running && _running.id === msg.id) {
+            _finish(msg.type === "result", msg.type === "result" ? msg.output : msg.message);
+        }
+    }
+
+    /**
+     * @private
+     * Starts the worker and sends it the schema
+     * @return {boolean} false if workers are not available
+     */
+    function _startWorker() {
+        try {
+            _worker = new Worker(ExtensionUtils.getModulePath(module, "XMLLintWorker.js"));
+        } catch (e) {
+            console.warn("MuCow: cannot start the xmllint worker, validating on the main thread", e);
+            return false;
+        }
+
+        _worker.onmessage = function (event) {
+            _onMessage(event.data);
+        };
+        _worker.onerror = function (event) {
+            // The worker is unusable (e.g. xmllint.js failed to load); retry the
+            // current request and the rest on the main thread
+            console.warn("MuCow: xmllint worker failed, validating on the main thread", event.message);
+            event.preventDefault();
+            _worker.terminate();
+            _worker = null;
+            _useMainThread = true;
+            if (_running) {
+                var request = _running;
+                _running = null;
+                _waiting.unshift(request);
+            }
+            _pump();
+        };
+        _worker.postMessage({ type: "schema", schema: _schema, "arguments": _args });
+        return true;
+    }
+
+    /**
+     * @private
+     * Sends the oldest waiting request if nothing is running
+     */
+    _pump = function () {
+        if (_running || !_waiting.length) {
+            return;
+        }
+
+        var request = _waiting.shift();
+        request.id = _nextId++;
+        _running = request;
+
+        if (!_useMainThread && !_worker && !_startWorker()) {
+            _useMainThread = true;
+        }
+
+        if (_useMainThread) {
+            _runOnMainThread();
+        } else {
+            _worker.postMessage({ type: "validate", id: request.id, xml: request.xml });
+        }
+    };
+
+    /**
+     * Sets the schema and the xmllint command line. Must be called before
+     * validate(); calling it again changes the schema for the documents
+     * validated after that.
+     * @param {!string} schema - source of the XSD
+     * @param {!Array.<string>} args - xmllint arguments
+     */
+    function init(schema, args) {
+        _schema = schema;
+        _args = args;
+        if (_worker) {
+            _worker.postMessage({ type: "schema", schema: _schema, "arguments": _args });
+        }
+    }
+
+    /**
+     * Validates a document
+     * @param {!string} xml - document text, UTF-8 encoded
+     * @param {!string} key - identifies the document, usually its full path
+     * @return {$.Promise} resolved with the xmllint output
+     */
+    function validate(xml, key) {
+        var deferred = new $.Deferred(),
+            request = null;
+
+        _waiting.some(function (waiting) {
+            if (waiting.key === key) {
+                request = waiting;
+                return true;
+            }
+            return false;
+        });
+
+        // A waiting request for the same document is superseded: it validates
+        // the newer text instead, for all its callers
+        if (!request) {
+            request = { key: key, xml: xml, deferreds: [] };
+            _waiting.push(request);
+        }
+        request.xml = xml;
+        request.deferreds.push(deferred);
+
+        // The output of a run already under way for the document would be
+        // stale; its callers get the newer result too
+        if (_running && _running.key === key) {
+            request.deferreds = _running.deferreds.concat(request.deferreds);
+            _running.deferreds = [];
+        }
+
+        _pump();
+        return deferred.promise();
+    }
+
+    exports.init        = init;
+    exports.validate    = validate;
+});
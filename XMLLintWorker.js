@@ -0,0 +1,68 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global self, importScripts, validateXML */
+
+/**
+ * Web Worker running xmllint off the main thread. The xmllint build is
+ * loaded once and the schema is sent when the worker starts, and again
+ * only when it changes; each other message carries the document to validate.
+ *
+ * What stays warm is the loaded xmllint build and the schema text. The
+ * compiled schema can't be kept: thirdparty/xmllint.js only exposes
+ * validateXML(), which runs a whole xmllint command, schema compile
+ * included. Keeping it would take an xmllint build exposing the libxml2
+ * schema API, which is beyond this worker.
+ *
+ * Messages in:
+ *   {type: "schema", schema: string, arguments: Array.<string>}
+ *   {type: "validate", id: number, xml: string}
+ * Messages out:
+ *   {type: "result", id: number, output: string}
+ *   {type: "error", id: number, message: string}
+ */
+(function () {
+    "use strict";
+
+    importScripts("thirdparty/xmllint.js");
+
+    var schema = null,
+        args = null;
+
+    self.onmessage = function (event) {
+        var msg = event.data;
+
+        if (msg.type === "schema") {
+            schema = msg.schema;
+            args = msg["arguments"];
+        } else if (msg.type === "validate") {
+            try {
+                var output = validateXML({ xml: msg.xml, schema: schema, "arguments": args.slice() });
+                self.postMessage({ type: "result", id: msg.id, output: output });
+            } catch (e) {
+                self.postMessage({ type: "error", id: msg.id, message: e.message || String(e) });
+            }
+        }
+    };
+}());
@@ -0,0 +1,529 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global define */
+
+/**
+ * A small, forgiving XML parser that keeps track of where every node and
+ * attribute lives in the source text. It is used both to read mucow.xsd and
+ * to analyse the document being edited, which is frequently not well-formed,
+ * so it never throws: problems are collected in the `errors` array instead.
+ */
+define(function (require, exports) {
+    "use strict";
+
+    var ENTITIES = {
+        amp: "&",
+        lt: "<",
+        gt: ">",
+        quot: "\"",
+        apos: "'"
+    };
+
+    // Regex to find a run of name characters.
+    var regexName = /[A-Za-z_:][\w:.\-]*/g;
+
+    // Regex to find whitespace.
+    var regexWhitespace = /\s/;
+
+    /**
+     * Replaces the predefined and numeric entities in a string
+     * @param {!string} str - raw text
+     * @return {string} decoded text
+     */
+    function decodeEntities(str) {
+        return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function (match, entity) {
+            if (entity.charAt(0) === "#") {
+                var code = entity.charAt(1) === "x" ? parseInt(entity.substr(2), 16) : parseInt(entity.substr(1), 10);
+                return isNaN(code) ? match : String.fromCharCode(code);
+            }
+            return ENTITIES.hasOwnProperty(entity) ? ENTITIES[entity] : match;
+        });
+    }
+
+    /**
+     * Strips the namespace prefix from a qualified name
+     * @param {!string} name - e.g. "xs:element"
+     * @return {string} e.g. "element"
+     */
+    function localName(name) {
+        var colon = name.indexOf(":");
+        return colon === -1 ? name : name.substr(colon + 1);
+    }
+
+    /**
+     * @constructor
+     * A node of the parsed tree. All offsets are character offsets into
+     * the parsed text; `end` is exclusive.
+     *
+     * @param {string} type - "document", "element", "text", "cdata", "comment" or "pi"
+     * @param {number} start - offset of the first character of the node
+     */
+    function XMLNode(type, start) {
+        this.type = type;
+        this.start = start;
+        this.end = start;
+        this.parent = null;
+        this.children = [];
+
+        if (type === "element") {
+            this.name = "";
+            this.attributes = [];
+            this.openEnd = -1;      // offset just past the '>' of the start tag
+            this.closeStart = -1;   // offset of the '</' of the end tag
+            this.selfClosing = false;
+            this.unterminated = false;
+            this.closed = false;
+        }
+    }
+
+    /**
+     * Finds an attribute on this element
+     * @param {!string} name - attribute name
+     * @return {?{name: string, value: string, start: number, end: number, valueStart: number, valueEnd: number}}
+     */
+    XMLNode.prototype.getAttribute = function (name) {
+        var i;
+        for (i = 0; i < (this.attributes || []).length; i++) {
+            if (this.attributes[i].name === name) {
+                return this.attributes[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Returns the (decoded) value of an attribute
+     * @param {!string} name - attribute name
+     * @return {?string} the value or null if the attribute is not present
+     */
+    XMLNode.prototype.getAttributeValue = function (name) {
+        var attr = this.getAttribute(name);
+        return attr ? attr.value : null;
+    };
+
+    /**
+     * Returns the child elements of this node, optionally filtered by name
+     * @param {string=} name - local name to filter by
+     * @return {Array.<XMLNode>}
+     */
+    XMLNode.prototype.childElements = function (name) {
+        return this.children.filter(function (child) {
+            return child.type === "element" && (!name || localName(child.name) === name);
+        });
+    };
+
+    /**
+     * Returns the concatenated text and CDATA content of this node and its descendants
+     * @return {string}
+     */
+    XMLNode.prototype.textContent = function () {
+        if (this.type === "text" || this.type === "cdata") {
+            return this.value;
+        }
+        return this.children.map(function (child) {
+            return child.type === "comment" || child.type === "pi" ? "" : child.textContent();
+        }).join("");
+    };
+
+    /**
+     * Returns the offset where the content of an element starts
+     * @return {number}
+     */
+    XMLNode.prototype.contentStart = function () {
+        return this.openEnd === -1 ? this.end : this.openEnd;
+    };
+
+    /**
+     * Returns the offset where the content of an element ends
+     * @return {number}
+     */
+    XMLNode.prototype.contentEnd = function () {
+        if (this.selfClosing) {
+            return this.contentStart();
+        }
+        return this.closeStart === -1 ? this.end : this.closeStart;
+    };
+
+    /**
+     * Calls `callback` for this node and every descendant in document order.
+     * Returning false from the callback skips the children of that node.
+     * @param {!function(XMLNode)} callback
+     */
+    XMLNode.prototype.walk = function (callback) {
+        if (callback(this) === false) {
+            return;
+        }
+        this.children.forEach(function (child) {
+            child.walk(callback);
+        });
+    };
+
+    /**
+     * Returns the innermost element whose range contains the given offset
+     * @param {!number} offset
+     * @return {?XMLNode}
+     */
+    XMLNode.prototype.elementAt = function (offset) {
+        var i, child;
+        for (i = 0; i < this.children.length; i++) {
+            child = this.children[i];
+            if (child.type === "element" && offset > child.start && offset < child.end) {
+                return child.elementAt(offset) || child;
+            }
+        }
+        return this.type === "element" ? this : null;
+    };
+
+    /**
+     * Returns the names of this element and its ancestors, innermost first
+     * @return {Array.<string>}
+     */
+    XMLNode.prototype.path = function () {
+        var names = [],
+            node = this;
+        while (node && node.type === "element") {
+            names.push(node.name);
+            node = node.parent;
+        }
+        return names;
+    };
+
+    /**
+     * @constructor
+     * The result of a parse. Holds the tree, the errors found and the
+     * information needed to convert offsets into editor positions.
+     *
+     * @param {!string} text - the parsed text
+     */
+    function XMLDocument(text) {
+        var i;
+
+        XMLNode.call(this, "document", 0);
+        this.text = text;
+        this.end = text.length;
+        this.errors = [];
+        this._lineStarts = [0];
+
+        for (i = 0; i < text.length; i++) {
+            if (text.charAt(i) === "\n") {
+                this._lineStarts.push(i + 1);
+            }
+        }
+    }
+
+    XMLDocument.prototype = Object.create(XMLNode.prototype);
+    XMLDocument.prototype.constructor = XMLDocument;
+
+    /**
+     * Converts an offset into a {line, ch} position
+     * @param {!number} offset
+     * @return {{line: number, ch: number}}
+     */
+    XMLDocument.prototype.posFromIndex = function (offset) {
+        var low = 0,
+            high = this._lineStarts.length - 1,
+            mid;
+
+        while (low < high) {
+            mid = Math.ceil((low + high) / 2);
+            if (this._lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low, ch: offset - this._lineStarts[low] };
+    };
+
+    /**
+     * Converts a {line, ch} position into an offset
+     * @param {!{line: number, ch: number}} pos
+     * @return {number}
+     */
+    XMLDocument.prototype.indexFromPos = function (pos) {
+        var line = Math.max(0, Math.min(pos.line, this._lineStarts.length - 1));
+        return Math.min(this._lineStarts[line] + pos.ch, this.text.length);
+    };
+
+    /**
+     * Returns the root element of the document
+     * @return {?XMLNode}
+     */
+    XMLDocument.prototype.rootElement = function () {
+        return this.childElements()[0] || null;
+    };
+
+    /**
+     * Finds the element with the given name whose start tag spans a line,
+     * as reported by xmllint
+     * @param {string} name
+     * @param {number} line - zero based
+     * @return {?XMLNode}
+     */
+    XMLDocument.prototype.findElement = function (name, line) {
+        var self = this,
+            found = null;
+
+        this.walk(function (node) {
+            if (found) {
+                return false;
+            }
+            if (node.type === "element" && node.name === name) {
+                var first = self.posFromIndex(node.start).line,
+                    last = self.posFromIndex(node.openEnd === -1 ? node.end : node.openEnd).line;
+                if (line >= first && line <= last) {
+                    found = node;
+                }
+            }
+        });
+        return found;
+    };
+
+    /**
+     * Parses text into an XMLDocument
+     * @param {!string} text - the XML source
+     * @return {XMLDocument}
+     */
+    function parse(text) {
+        var doc = new XMLDocument(text),
+            stack = [doc],
+            length = text.length,
+            pos = 0;
+
+        function current() {
+            return stack[stack.length - 1];
+        }
+
+        function addError(offset, message) {
+            doc.errors.push({ offset: offset, message: message });
+        }
+
+        function append(node) {
+            node.parent = current();
+            current().children.push(node);
+            return node;
+        }
+
+        function addText(start, end) {
+            var node = new XMLNode("text", start);
+            node.end = end;
+            node.value = decodeEntities(text.substring(start, end));
+            append(node);
+        }
+
+        // Adds a node delimited by `open` and `close`, e.g. a comment, and
+        // returns the offset after it
+        function addDelimited(type, start, open, close) {
+            var node = new XMLNode(type, start),
+                closeAt = text.indexOf(close, start + open.length);
+
+            if (closeAt === -1) {
+                addError(start, "Unterminated " + type);
+                closeAt = length;
+                node.end = length;
+            } else {
+                node.end = closeAt + close.length;
+            }
+            node.valueStart = start + open.length;
+            node.valueEnd = closeAt;
+            node.value = text.substring(node.valueStart, closeAt);
+            append(node);
+            return node.end;
+        }
+
+        function readName(offset) {
+            regexName.lastIndex = offset;
+            var match = regexName.exec(text);
+            return (match && match.index === offset) ? match[0] : "";
+        }
+
+        function skipWhitespace(offset) {
+            while (offset < length && regexWhitespace.test(text.charAt(offset))) {
+                offset++;
+            }
+            return offset;
+        }
+
+        function closeElement(node, closeStart, end) {
+            node.closeStart = closeStart;
+            node.end = end;
+            node.closed = true;
+        }
+
+        function parseEndTag(start) {
+            var name = readName(start + 2),
+                offset = skipWhitespace(start + 2 + name.length),
+                end,
+                i;
+
+            if (text.charAt(offset) === ">") {
+                end = offset + 1;
+            } else {
+                addError(start, "Malformed end tag </" + name + ">");
+                end = offset;
+            }
+
+            for (i = stack.length - 1; i > 0; i--) {
+                if (stack[i].name === name) {
+                    break;
+                }
+            }
+
+            if (i === 0) {
+                addError(start, "Unexpected end tag </" + name + ">");
+                return end;
+            }
+
+            while (stack.length - 1 > i) {
+                var unclosed = stack.pop();
+                addError(unclosed.start, "Element '" + unclosed.name + "' is not closed");
+                unclosed.end = start;
+            }
+            closeElement(stack.pop(), start, end);
+            return end;
+        }
+
+        function parseStartTag(start) {
+            var node = new XMLNode("element", start),
+                offset = start + 1,
+                ch;
+
+            node.name = readName(offset);
+            offset += node.name.length;
+            append(node);
+
+            while (offset < length) {
+                offset = skipWhitespace(offset);
+                ch = text.charAt(offset);
+
+                if (ch === ">") {
+                    node.openEnd = offset + 1;
+                    break;
+                }
+                if (ch === "/" && text.charAt(offset + 1) === ">") {
+                    node.openEnd = offset + 2;
+                    node.selfClosing = true;
+                    break;
+                }
+                if (ch === "<" || offset >= length) {
+                    break;
+                }
+
+                var attrName = readName(offset);
+                if (!attrName) {
+                    addError(offset, "Unexpected character '" + ch + "' in tag <" + node.name + ">");
+                    offset++;
+                    continue;
+                }
+
+                var attr = { name: attrName, value: "", start: offset, end: offset + attrName.length, valueStart: -1, valueEnd: -1 };
+                node.attributes.push(attr);
+                offset = skipWhitespace(attr.end);
+
+                if (text.charAt(offset) === "=") {
+                    offset = skipWhitespace(offset + 1);
+                    var quote = text.charAt(offset);
+                    if (quote === "\"" || quote === "'") {
+                        var closeQuote = text.indexOf(quote, offset + 1);
+                        if (closeQuote === -1) {
+                            addError(offset, "Unterminated attribute value");
+                            closeQuote = length;
+                        }
+                        attr.valueStart = offset + 1;
+                        attr.valueEnd = closeQuote;
+                        attr.value = decodeEntities(text.substring(attr.valueStart, closeQuote));
+                        attr.end = Math.min(closeQuote + 1, length);
+                        offset = attr.end;
+                    } else {
+                        addError(offset, "Attribute '" + attrName + "' value must be quoted");
+                    }
+                } else {
+                    addError(attr.start, "Attribute '" + attrName + "' has no value");
+                }
+            }
+
+            // A tag cut short by the next '<' is usually still being typed;
+            // treat it as empty so it doesn't swallow the elements after it
+            if (node.openEnd === -1) {
+                addError(start, "Unterminated tag <" + node.name + ">");
+                node.openEnd = offset;
+                node.unterminated = true;
+            }
+            node.end = node.openEnd;
+
+            if (node.selfClosing || node.unterminated) {
+                node.closed = true;
+            } else {
+                stack.push(node);
+            }
+            return node.openEnd;
+        }
+
+        while (pos < length) {
+            var lt = text.indexOf("<", pos);
+
+            if (lt === -1) {
+                addText(pos, length);
+                break;
+            }
+            if (lt > pos) {
+                addText(pos, lt);
+            }
+
+            if (text.substr(lt, 4) === "<!--") {
+                pos = addDelimited("comment", lt, "<!--", "-->");
+            } else if (text.substr(lt, 9) === "<![CDATA[") {
+                pos = addDelimited("cdata", lt, "<![CDATA[", "]]>");
+            } else if (text.substr(lt, 2) === "<?") {
+                pos = addDelimited("pi", lt, "<?", "?>");
+            } else if (text.substr(lt, 2) === "<!") {
+                pos = addDelimited("pi", lt, "<!", ">");
+            } else if (text.charAt(lt + 1) === "/") {
+                pos = parseEndTag(lt);
+            } else if (readName(lt + 1)) {
+                pos = parseStartTag(lt);
+            } else {
+                addError(lt, "Unexpected '<'");
+                addText(lt, lt + 1);
+                pos = lt + 1;
+            }
+        }
+
+        // Anything left open runs to the end of the text
+        while (stack.length > 1) {
+            var open = stack.pop();
+            addError(open.start, "Element '" + open.name + "' is not closed");
+            open.end = length;
+        }
+
+        return doc;
+    }
+
+    exports.parse           = parse;
+    exports.localName       = localName;
+    exports.decodeEntities  = decodeEntities;
+    exports.XMLNode         = XMLNode;
+    exports.XMLDocument     = XMLDocument;
+});
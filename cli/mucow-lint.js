@@ -0,0 +1,438 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global require, module, process, __dirname */
+
+/**
+ * Validates MuCow files outside Brackets, with the same schema, semantic
+ * and script checks as the extension.
+ *
+ *     node cli/mucow-lint.js [--format=text|json|junit] [--output=FILE]
+ *                            [--warnings-as-errors] [--config=FILE] FILE|GLOB...
+ *
+ * Globs understand "*", "?" and "**". The schemas named by the project
+ * configuration (.mucow.json in the current folder, or --config) are
+ * merged in as in the extension. Exits with 0 when there are no errors,
+ * 1 when there are, and 2 when the files or the schemas can't be read or
+ * the schemas don't compile.
+ */
+(function () {
+    "use strict";
+
+    var fs      = require("fs"),
+        path    = require("path"),
+        vm      = require("vm");
+
+    // The extension's modules are loaded from the folder above this one
+    var ROOT = path.join(__dirname, "..");
+
+    var USAGE = "Usage: node cli/mucow-lint.js [--format=text|json|junit] [--output=FILE] [--warnings-as-errors] [--config=FILE] FILE|GLOB...";
+
+    var ERROR = "problem_type_error";
+
+    var _modules = {};
+
+    /**
+     * Loads one of the extension's AMD modules, or a "text!" resource. Only
+     * modules that don't use Brackets can be loaded.
+     * @param {string} id - module id relative to the extension folder
+     * @return {*} the exports of the module, or the text of the resource
+     */
+    function requireModule(id) {
+        if (id.indexOf("text!") === 0) {
+            return fs.readFileSync(path.join(ROOT, id.substr(5)), "utf8");
+        }
+        if (_modules.hasOwnProperty(id)) {
+            return _modules[id].exports;
+        }
+
+        var filename = path.join(ROOT, id + ".js"),
+            module = { id: id, exports: {} },
+            factory = null,
+            result;
+
+        _modules[id] = module;
+        vm.runInThisContext("(function (define) {" + fs.readFileSync(filename, "utf8") + "\n})", { filename: filename })(function (deps, callback) {
+            factory = callback || deps;
+        });
+        result = factory(requireModule, module.exports, module);
+        if (result !== undefined) {
+            module.exports = result;
+        }
+        return module.exports;
+    }
+
+    /**
+     * Returns a function that runs xmllint against the schema. xmllint is
+     * loaded once, into a context of its own that looks like a browser so it
+     * doesn't take over the process.
+     * @param {string} schemaText
+     * @param {Array.<string>} args - xmllint arguments
+     * @return {function(string): string} takes the UTF-8 encoded document and
+     *      returns the xmllint output
+     */
+    function createXmllint(schemaText, args) {
+        var context = vm.createContext({ window: {} });
+
+        vm.runInContext(fs.readFileSync(path.join(ROOT, "thirdparty/xmllint.js"), "utf8"), context, {
+            filename: "xmllint.js"
+        });
+        return function (xml) {
+            return context.validateXML({ xml: xml, schema: schemaText, "arguments": args.slice() });
+        };
+    }
+
+    /**
+     * Gives ScriptLinter acorn, when it can be found from the current folder
+     * or NODE_PATH, so script errors get exact positions as in the editor.
+     * Without it, errors are reported at the start of their block.
+     * @return {boolean} whether acorn was found
+     */
+    function loadScriptParser() {
+        var ScriptLinter = requireModule("ScriptLinter"),
+            acorn;
+
+        try {
+            acorn = require(require.resolve("acorn", { paths: [process.cwd()].concat(module.paths) }));
+        } catch (e) {
+            return false;
+        }
+        ScriptLinter.setParser(ScriptLinter.acornParser(acorn));
+        return true;
+    }
+
+    /**
+     * @private
+     * Converts a glob to a regex matching paths with "/" separators
+     */
+    function _globToRegExp(glob) {
+        var source = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+            .replace(/\*\*\//g, "\u0000")
+            .replace(/\*\*/g, "\u0001")
+            .replace(/\*/g, "[^/]*")
+            .replace(/\?/g, "[^/]")
+            .replace(/\u0000/g, "(?:.*/)?")
+            .replace(/\u0001/g, ".*");
+        return new RegExp("^" + source + "$");
+    }
+
+    /**
+     * @private
+     * Lists the files under a folder, skipping dot folders and node_modules
+     */
+    function _walk(dir, files) {
+        fs.readdirSync(dir).forEach(function (name) {
+            var full = path.join(dir, name),
+                stat = fs.statSync(full);
+
+            if (stat.isDirectory()) {
+                if (name.charAt(0) !== "." && name !== "node_modules") {
+                    _walk(full, files);
+                }
+            } else {
+                files.push(full);
+            }
+        });
+        return files;
+    }
+
+    /**
+     * Expands the file and glob arguments
+     * @param {Array.<string>} patterns
+     * @return {{files: Array.<string>, unmatched: Array.<string>}}
+     */
+    function expandFiles(patterns) {
+        var files = [],
+            unmatched = [];
+
+        patterns.forEach(function (pattern) {
+            var glob = pattern.split(path.sep).join("/"),
+                matches;
+
+            if (!/[*?]/.test(glob)) {
+                matches = fs.existsSync(pattern) ? [pattern] : [];
+            } else {
+                // Only walk the folder the wildcards start in
+                var base = glob.substr(0, glob.search(/[*?]/)).replace(/[^\/]*$/, "") || "./",
+                    regex = _globToRegExp(glob.replace(/^\.\//, ""));
+
+                matches = fs.existsSync(base) ? _walk(base, []).filter(function (file) {
+                    return regex.test(file.split(path.sep).join("/").replace(/^\.\//, ""));
+                }).sort() : [];
+            }
+
+            if (!matches.length) {
+                unmatched.push(pattern);
+            }
+            matches.forEach(function (file) {
+                if (files.indexOf(file) === -1) {
+                    files.push(file);
+                }
+            });
+        });
+        return { files: files, unmatched: unmatched };
+    }
+
+    /**
+     * @private
+     * Escapes text for XML
+     */
+    function _escapeXML(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Formats the results as "file:line:col: severity: message" lines
+     * @param {Array.<{file: string, problems: Array.<Object>}>} results
+     * @return {string}
+     */
+    function formatText(results) {
+        var lines = [];
+
+        results.forEach(function (result) {
+            result.problems.forEach(function (problem) {
+                lines.push(result.file + ":" + problem.line + ":" + problem.column + ": " +
+                    problem.severity + ": " + problem.message);
+            });
+        });
+        return lines.length ? lines.join("\n") + "\n" : "";
+    }
+
+    /**
+     * Formats the results as JSON
+     * @param {Array.<{file: string, problems: Array.<Object>}>} results
+     * @return {string}
+     */
+    function formatJSON(results) {
+        return JSON.stringify(results, null, 2) + "\n";
+    }
+
+    /**
+     * Formats the results as a JUnit report with a test case per file
+     * @param {Array.<{file: string, problems: Array.<Object>}>} results
+     * @param {function(Object): boolean} fails - whether a problem fails its file
+     * @return {string}
+     */
+    function formatJUnit(results, fails) {
+        var failures = results.filter(function (result) {
+                return result.problems.some(fails);
+            }).length,
+            xml = [];
+
+        xml.push("<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+        xml.push("<testsuites>");
+        xml.push("  <testsuite name=\"mucow-lint\" tests=\"" + results.length + "\" failures=\"" + failures + "\" errors=\"0\">");
+        results.forEach(function (result) {
+            var failing = result.problems.filter(fails),
+                text = formatText([result]);
+
+            xml.push("    <testcase classname=\"mucow-lint\" name=\"" + _escapeXML(result.file) + "\">");
+            if (failing.length) {
+                xml.push("      <failure message=\"" + _escapeXML(failing[0].message) + "\" type=\"" + failing[0].severity + "\">" +
+                    _escapeXML(text) + "</failure>");
+            } else if (text) {
+                xml.push("      <system-out>" + _escapeXML(text) + "</system-out>");
+            }
+            xml.push("    </testcase>");
+        });
+        xml.push("  </testsuite>");
+        xml.push("</testsuites>");
+        return xml.join("\n") + "\n";
+    }
+
+    /**
+     * Reads the command line
+     * @param {Array.<string>} argv - arguments after the script name
+     * @return {{format: string, output: ?string, warningsAsErrors: boolean, config: ?string, patterns: Array.<string>, error: ?string}}
+     */
+    function parseArguments(argv) {
+        var options = { format: "text", output: null, warningsAsErrors: false, config: null, patterns: [], error: null };
+
+        argv.forEach(function (arg) {
+            var match = /^--([\w\-]+)(?:=(.*))?$/.exec(arg);
+
+            if (!match) {
+                options.patterns.push(arg);
+            } else if (match[1] === "format" && /^(text|json|junit)$/.test(match[2] || "")) {
+                options.format = match[2];
+            } else if (match[1] === "output" && match[2]) {
+                options.output = match[2];
+            } else if (match[1] === "warnings-as-errors" && match[2] === undefined) {
+                options.warningsAsErrors = true;
+            } else if (match[1] === "config" && match[2]) {
+                options.config = match[2];
+            } else {
+                options.error = "Unknown option " + arg;
+            }
+        });
+        if (!options.error && !options.patterns.length) {
+            options.error = "No files given";
+        }
+        return options;
+    }
+
+    /**
+     * Builds the schema from mucow.xsd and the project configuration
+     * @param {?string} configPath - the --config option; .mucow.json in the
+     *      current folder is used, if there is one, without it
+     * @return {{text: ?string, source: ?string, error: ?string}} source
+     *      names the schemas merged into mucow.xsd
+     */
+    function loadSchema(configPath) {
+        var SchemaExtensions = requireModule("SchemaExtensions"),
+            xsdText = requireModule("text!mucow.xsd"),
+            file = configPath || SchemaExtensions.CONFIG_FILE,
+            files = {},
+            config;
+
+        if (!configPath && !fs.existsSync(file)) {
+            return { text: xsdText, source: null, error: null };
+        }
+
+        try {
+            config = SchemaExtensions.parseConfig(fs.readFileSync(file, "utf8"));
+            SchemaExtensions.schemaFiles(config).forEach(function (schemaPath) {
+                files[schemaPath] = fs.readFileSync(path.resolve(path.dirname(file), schemaPath), "utf8");
+            });
+        } catch (e) {
+            return { text: null, source: null, error: file + ": " + e.message };
+        }
+        return {
+            text: SchemaExtensions.schemaText(xsdText, config, files),
+            source: SchemaExtensions.schemaSource(config, files, file),
+            error: null
+        };
+    }
+
+    /**
+     * Runs the validator
+     * @param {Array.<string>} argv - arguments after the script name
+     * @return {number} exit code
+     */
+    function main(argv) {
+        var options = parseArguments(argv);
+
+        if (options.error) {
+            console.error(options.error + "\n" + USAGE);
+            return 2;
+        }
+
+        var loaded = loadSchema(options.config);
+
+        if (loaded.error) {
+            console.error(loaded.error);
+            return 2;
+        }
+
+        loadScriptParser();
+
+        var SchemaModel  = requireModule("SchemaModel"),
+            Validator    = requireModule("Validator"),
+            schemaText   = loaded.text,
+            schema       = SchemaModel.parse(schemaText),
+            xmllint      = createXmllint(schemaText, Validator.ARGUMENTS),
+            schemaErrors = Validator.parseSchemaErrors(xmllint("<compile/>")),
+            expanded     = expandFiles(options.patterns),
+            unreadable   = expanded.unmatched.length > 0,
+            results      = [],
+            output;
+
+        // Nothing can be validated with a schema that doesn't compile
+        if (schemaErrors) {
+            console.error("The schema does not compile" + (loaded.source ? " with " + loaded.source : "") + ":");
+            (schemaErrors.length ? schemaErrors : ["xmllint could not compile it"]).forEach(function (message) {
+                console.error("  " + message);
+            });
+            return 2;
+        }
+
+        expanded.unmatched.forEach(function (pattern) {
+            console.error("No files match " + pattern);
+        });
+
+        expanded.files.forEach(function (file) {
+            var text;
+
+            try {
+                text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+            } catch (e) {
+                console.error("Can't read " + file + ": " + e.message);
+                unreadable = true;
+                return;
+            }
+
+            results.push({
+                file: file,
+                problems: Validator.collectErrors(text, xmllint(Validator.encodeUtf8(text)), schema, loaded.source).map(function (error) {
+                    return {
+                        line: error.pos.line + 1,
+                        column: error.pos.ch + 1,
+                        severity: error.type && error.type !== ERROR ? "warning" : "error",
+                        message: error.message
+                    };
+                }).sort(function (a, b) {
+                    return (a.line - b.line) || (a.column - b.column);
+                })
+            });
+        });
+
+        function fails(problem) {
+            return problem.severity === "error" || options.warningsAsErrors;
+        }
+
+        if (options.format === "json") {
+            output = formatJSON(results);
+        } else if (options.format === "junit") {
+            output = formatJUnit(results, fails);
+        } else {
+            output = formatText(results);
+        }
+
+        if (options.output) {
+            fs.writeFileSync(options.output, output);
+        } else {
+            process.stdout.write(output);
+        }
+
+        if (unreadable) {
+            return 2;
+        }
+        return results.some(function (result) {
+            return result.problems.some(fails);
+        }) ? 1 : 0;
+    }
+
+    if (require.main === module) {
+        process.exitCode = main(process.argv.slice(2));
+    } else {
+        module.exports = {
+            requireModule: requireModule,
+            createXmllint: createXmllint,
+            loadScriptParser: loadScriptParser,
+            expandFiles: expandFiles,
+            main: main
+        };
+    }
+}());
@@ -22,49 +22,134 @@
  */
 
 /*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
-/*global define, brackets, $, validateXML, CodeMirror, console, unescape */
+/*global define, brackets, $, window, document, console */
 
-define(function (require, exports) {
+define(function (require, exports, module) {
     "use strict";
     
-    // xmllint is a non-module require
-    require("thirdparty/xmllint");    
-    
     // Brackets modules
     var AppInit                     = brackets.getModule("utils/AppInit"),
         LanguageManager             = brackets.getModule("language/LanguageManager"),
         XMLUtils                    = brackets.getModule("language/XMLUtils"),
         TokenUtils                  = brackets.getModule("utils/TokenUtils"),
         CodeHintManager             = brackets.getModule("editor/CodeHintManager"),
-        CodeInspection              = brackets.getModule("language/CodeInspection");
+        CodeInspection              = brackets.getModule("language/CodeInspection"),
+        ExtensionUtils              = brackets.getModule("utils/ExtensionUtils"),
+        EditorManager               = brackets.getModule("editor/EditorManager"),
+        CommandManager              = brackets.getModule("command/CommandManager"),
+        Commands                    = brackets.getModule("command/Commands"),
+        Menus                       = brackets.getModule("command/Menus");
+    
+    var SchemaModel                 = require("SchemaModel"),
+        ParameterHints              = require("ParameterHints").ParameterHints,
+        ScriptLinter                = require("ScriptLinter"),
+        TagSnippets                 = require("TagSnippets"),
+        ContentModel                = require("ContentModel"),
+        WidgetModel                 = require("WidgetModel"),
+        OptionsModel                = require("OptionsModel"),
+        AttributeValues             = require("AttributeValues"),
+        FormatVersions              = require("FormatVersions"),
+        SnippetSession              = require("SnippetSession"),
+        MucowMode                   = require("MucowMode"),
+        Documentation               = require("Documentation").Documentation,
+        DocPopup                    = require("DocPopup"),
+        QuickFixMenu                = require("QuickFixMenu"),
+        XMLLintService              = require("XMLLintService"),
+        Validator                   = require("Validator"),
+        OptionsPanel                = require("OptionsPanel"),
+        OutputPreview               = require("OutputPreview"),
+        ParameterNavigation         = require("ParameterNavigation"),
+        InlineColorPicker           = require("InlineColorPicker"),
+        OutlinePanel                = require("OutlinePanel"),
+        OutlineQuickOpen            = require("OutlineQuickOpen"),
+        NewWidgetDialog             = require("NewWidgetDialog"),
+        ProjectExtensions           = require("ProjectExtensions"),
+        FormatCommand               = require("FormatCommand"),
+        EndTags                     = require("EndTags"),
+        AutoCloseTags               = require("AutoCloseTags"),
+        ExportLibrary               = require("ExportLibrary");
     
-    var MucowTags                   = require("text!MucowTags.json"),
-        MucowAttributes             = require("text!MucowAttributes.json"),
+    var MucowAttributes             = require("text!MucowAttributes.json"),
+        MucowDocs                   = require("text!MucowDocs.json"),
         MucowSchema                 = require("text!mucow.xsd");
     
     var CODE_INSPECTOR_WINDOW_TITLE = "MuCow Grammar";
     
-    // XMLLint constants
-    var XSD_NAME  = "file.xsd",
-        FILE_NAME = "file.xml",
-        DELIMITER = ":",
-        LINE_NO_OFFSET = (FILE_NAME + DELIMITER).length;    
+    var CMD_QUICK_FIX = "mucow.quickFix",
+        CMD_OPTIONS_PANEL = "mucow.optionsPanel",
+        CMD_PREVIEW_OUTPUT = "mucow.previewOutput",
+        CMD_FIND_USAGES = "mucow.findUsages",
+        CMD_RENAME_PARAMETER = "mucow.renameParameter",
+        CMD_OUTLINE = "mucow.outline",
+        CMD_NEW_WIDGET = "mucow.newWidget",
+        CMD_FORMAT = "mucow.format",
+        CMD_EXPORT_LIBRARY = "mucow.exportLibrary";
     
-    var tags,
-        attributes;
+    var schema,
+        tags,
+        attributes,
+        documentation,
+        lastInspection = null;
 
     // Regex to find whitespace.
     var regexWhitespace = /^\s+$/;
 
-    // Add Language support for mucow
+    // Add Language support for mucow. The mode highlights the widget markup
+    // as xml and the content sections as HTML or JavaScript, so Brackets sees
+    // the markup as its xml language; the tag and attribute hint providers
+    // are registered for it too and check that the document is MuCow.
     LanguageManager.defineLanguage("mucow", {
         name: "MuCow",
-        mode: "xml",
+        mode: MucowMode.MODE_NAME,
         fileExtensions: ["mucow"]
     });
     
     
     
+    /**
+     * Builds a hint list entry with a description column
+     * @param {string} name - text of the hint
+     * @param {string} description - shown after the name, and in full as a tooltip
+     * @param {string} key - data key under which the name is stored
+     * @return {jQueryObject}
+     */
+    function _formatHint(name, description, key) {
+        var $hint = $("<span>").text(name).data(key, name);
+        
+        if (description) {
+            $hint.attr("title", description);
+            $("<span>")
+                .addClass("mucow-hint-detail mucow-hint-description")
+                .text(description)
+                .appendTo($hint);
+        }
+        return $hint;
+    }
+    
+    /**
+     * @private
+     * Greys out a hint for something the widget's formatNumber doesn't have
+     * @param {jQueryObject} $hint - from _formatHint()
+     * @param {string} what - how the element, attribute or value is named in the tooltip
+     * @param {number} minimum - first format that has it
+     * @return {jQueryObject}
+     */
+    function _flagUnsupported($hint, what, minimum) {
+        return $hint
+            .addClass("mucow-hint-disallowed")
+            .attr("title", what + " " + FormatVersions.requirement(minimum));
+    }
+    
+    /**
+     * @private
+     * Returns the formatNumber declared by the document in an editor
+     * @param {!Editor} editor
+     * @return {?number} null when the document doesn't declare a known format
+     */
+    function _declaredFormat(editor) {
+        return FormatVersions.declared(WidgetModel.getModel(editor.document.getText()).root);
+    }
+    
     /**
      * @constructor
      */
@@ -85,26 +170,87 @@ define(function (require, exports) {
      * whether it is appropriate to do so.
      */
     TagHints.prototype.hasHints = function (editor) {
-        if (editor.getModeForSelection() === "xml") {
+        if (editor.document.getLanguage().getId() === "mucow" && editor.getModeForSelection() === "xml") {
             this.editor = editor;
             this.tagInfo = XMLUtils.getTagInfo(this.editor, this.editor.getCursorPos());
             
-            return (this.tagInfo && this.tagInfo.tokenType === XMLUtils.TOKEN_TAG);
+            return (this.tagInfo && this.tagInfo.tokenType === XMLUtils.TOKEN_TAG) || this._getEndTagContext() !== null;
         }
         return false;
     };
+    
+    /**
+     * Finds the end tag being typed before the cursor, if any
+     * @return {?{start: CodeMirror.pos, query: string}} where the "</" is and
+     * the part of the name typed after it
+     */
+    TagHints.prototype._getEndTagContext = function () {
+        var cursor = this.editor.getCursorPos(),
+            match = /<\/([\w\-:]*)$/.exec(this.editor.document.getLine(cursor.line).substr(0, cursor.ch));
+        
+        return match ? { start: { line: cursor.line, ch: match.index }, query: match[1] } : null;
+    };
+    
+    /**
+     * Offers the end tag of the innermost open element
+     * @return {?{hints: Array.<jQueryObject>, match: string, selectInitial: boolean, handleWideResults: boolean}}
+     */
+    TagHints.prototype._getEndTagHints = function () {
+        var text = this.editor.document.getText(),
+            name = EndTags.openElement(text, this.editor.indexFromPos(this.endTag.start),
+                this.editor.indexFromPos(this.editor.getCursorPos()));
+        
+        if (!name || name.indexOf(this.endTag.query) !== 0) {
+            return null;
+        }
+        return {
+            hints: [_formatHint("</" + name + ">", "closes <" + name + ">", "endTag")],
+            match: "</" + this.endTag.query,
+            selectInitial: true,
+            handleWideResults: false
+        };
+    };
       
     /**
-     * Retrieves the current editor context 
-     * @return {CodeMirror.context=} // use context.tagName to determine the parent tag at the cursor
-     * 
+     * Finds the element the tag being typed goes into, and its children on
+     * either side of the insertion point
+     * @return {{parent: ?string, before: Array.<string>, after: Array.<string>}}
+     * parent is null at the top level of the document
      */
-    TagHints.prototype.getContext = function() {
-        var cm = this.editor._codeMirror,
-            cur = cm.getCursor(),
-            token = cm.getTokenAt(cur),
-            inner = CodeMirror.innerMode(cm.getMode(), token.state);
-        return inner.state.context;
+    TagHints.prototype._getInsertionContext = function () {
+        var cursor = this.editor.getCursorPos(),
+            doc = WidgetModel.getModel(this.editor.document.getText()).document,
+            tagStart = this.editor.indexFromPos({line: cursor.line, ch: cursor.ch - this.tagInfo.offset}) - 1,
+            current = null,
+            parent;
+
+        // The partially typed tag is in the tree already; leave it out
+        doc.walk(function (node) {
+            if (node.type === "element" && node.start === tagStart) {
+                current = node;
+            }
+        });
+        parent = current ? current.parent : (doc.elementAt(tagStart) || doc);
+        
+        var siblings = parent.childElements().filter(function (node) {
+            return node !== current;
+        });
+        
+        function names(nodes) {
+            return nodes.map(function (node) {
+                return node.name;
+            });
+        }
+        
+        return {
+            parent: parent.type === "element" ? parent.name : null,
+            before: names(siblings.filter(function (node) {
+                return node.start < tagStart;
+            })),
+            after: names(siblings.filter(function (node) {
+                return node.start > tagStart;
+            }))
+        };
     };
     
     /**
@@ -129,22 +275,60 @@ define(function (require, exports) {
     TagHints.prototype.getHints = function () {
         var query,
             result,
-            context = this.getContext(),
-            parent = context ? context.tagName : "/root$";
+            insertion,
+            legal,
+            parent,
+            format;
 
+        // "</" completes the end tag of the element it closes
+        this.endTag = this._getEndTagContext();
+        if (this.endTag) {
+            return this._getEndTagHints();
+        }
+        
         this.tagInfo = XMLUtils.getTagInfo(this.editor, this.editor.getCursorPos());
         if (this.tagInfo.tokenType === XMLUtils.TOKEN_TAG) {
             if (this.tagInfo.offset >= 0) {
                 query = this.tagInfo.token.string.trim();
                 query = query.replace("<", ""); // remove the leading <
-                result = $.map(tags, function (value, key) {
-                    if (key.indexOf(query) === 0) {
-                        var ctx = tags[key].context;
-                        if (!ctx || ctx.length === 0 || ctx.indexOf(parent) !== -1) {
-                            return key;
-                        }
+                
+                // The schema's content model decides what may go here given the
+                // siblings already present
+                insertion = this._getInsertionContext();
+                legal = ContentModel.insertable(schema, insertion.parent, insertion.before, insertion.after);
+                parent = insertion.parent || SchemaModel.ROOT_CONTEXT;
+                format = _declaredFormat(this.editor);
+                
+                var matches = function (key) {
+                    return key.indexOf(query) === 0;
+                };
+                var supported = function (key) {
+                    return format === null || FormatVersions.elementMinimum(key) <= format;
+                };
+                
+                // Tags that only come from an overlay fall back to their context list
+                result = legal.allowed.concat($.map(tags, function (value, key) {
+                    var ctx = value.context;
+                    if (!schema.elements[key] && (!ctx || ctx.length === 0 || ctx.indexOf(parent) !== -1)) {
+                        return key;
                     }
-                }).sort();
+                })).filter(matches).sort();
+                
+                // Elements that belong here but would break the content model, or
+                // that the declared format doesn't have, are still listed, greyed
+                // out, after the legal ones
+                result = result.filter(supported).map(function (key) {
+                    return _formatHint(key, documentation.tagSummary(key), "tag");
+                }).concat(result.filter(function (key) {
+                    return !supported(key);
+                }).map(function (key) {
+                    return _flagUnsupported(_formatHint(key, documentation.tagSummary(key), "tag"),
+                        "<" + key + ">", FormatVersions.elementMinimum(key));
+                }), legal.disallowed.filter(matches).sort().map(function (key) {
+                    return _formatHint(key, documentation.tagSummary(key), "tag")
+                        .addClass("mucow-hint-disallowed")
+                        .attr("title", "<" + key + "> is not allowed here");
+                }));
                 
                 return {
                     hints: result,
@@ -158,10 +342,48 @@ define(function (require, exports) {
         return null;
     };
     
+    /**
+     * Inserts the skeleton of an element: its required attributes, mandatory
+     * children and end tag. The fields to fill in become tab stops.
+     * 
+     * @param {string} tagName - the element to insert
+     * @param {CodeMirror.pos} start - start of the partially typed tag name
+     * @param {CodeMirror.pos} end - end of the partially typed tag name
+     * @return {boolean} true if a skeleton was inserted
+     */
+    TagHints.prototype._insertSnippet = function (tagName, start, end) {
+        var cm = this.editor._codeMirror,
+            lineText = this.editor.document.getLine(start.line),
+            indent = /^\s*/.exec(lineText)[0],
+            indentUnit = cm.getOption("indentWithTabs") ? "\t" : new Array(cm.getOption("indentUnit") + 1).join(" "),
+            snippet;
+
+        // Only expand a new tag, not one whose name is being edited
+        if (!/^\s*(<|$)/.test(lineText.substr(end.ch))) {
+            return false;
+        }
+
+        snippet = TagSnippets.build(schema, tagName, indent, indentUnit);
+        if (!snippet) {
+            return false;
+        }
+
+        var startIndex = cm.indexFromPos(start);
+        this.editor.document.replaceRange(snippet.text, start, end);
+        
+        SnippetSession.start(this.editor, snippet.tabStops.map(function (stop) {
+            return {
+                start: cm.posFromIndex(startIndex + stop.start),
+                end: cm.posFromIndex(startIndex + stop.end)
+            };
+        }));
+        return true;
+    };
+    
     /**
      * Inserts a given tag hint into the current editor context. 
      * 
-     * @param {string} hint 
+     * @param {string|jQueryObject} hint 
      * The hint to be inserted into the editor context.
      *
      * @return {boolean} 
@@ -174,6 +396,19 @@ define(function (require, exports) {
             cursor = this.editor.getCursorPos(),
             charCount = 0;
 
+        if (this.endTag) {
+            // Replace the rest of the name, and the ">" if it is there already
+            var rest = /^[\w\-:]*>?/.exec(this.editor.document.getLine(cursor.line).substr(cursor.ch))[0];
+            this.editor.document.replaceRange(completion.data("endTag"), this.endTag.start,
+                { line: cursor.line, ch: cursor.ch + rest.length });
+            return false;
+        }
+
+        // Hints are jQuery objects carrying their description
+        if (typeof completion !== "string") {
+            completion = completion.data("tag");
+        }
+
         if (this.tagInfo.tokenType === XMLUtils.TOKEN_TAG) {
             charCount = this.tagInfo.token.string.length;
         }
@@ -182,6 +417,10 @@ define(function (require, exports) {
         start.ch = cursor.ch - this.tagInfo.offset;
         end.ch = start.ch + charCount;
 
+        if (this._insertSnippet(completion, start, end)) {
+            return false;
+        }
+
         if (completion !== this.tagInfo.token.string) {
             if (start.ch !== end.ch) {
                 this.editor.document.replaceRange(completion, start, end);
@@ -199,6 +438,8 @@ define(function (require, exports) {
     function AttrHints() {
         this.globalAttributes = this.readGlobalAttrHints();
         this.cachedHints = null;
+        // Entry of a disableOptions list being completed, if any
+        this.listEntry = null;
     }
 
     /**
@@ -231,10 +472,9 @@ define(function (require, exports) {
      */
     AttrHints.prototype._getValueHintsForAttr = function (query, tagName, attrName) {
         // We look up attribute values with tagName plus a slash and attrName first.  
-        // If the lookup fails, then we fall back to look up with attrName only. Most 
-        // of the attributes in JSON are using attribute name only as their properties, 
-        // but in some cases like "type" attribute, we have different properties like 
-        // "script/type", "link/type" and "button/type".
+        // If the lookup fails, then we fall back to look up with attrName only. The 
+        // tables generated from the schema always use "tag/attr" keys, but the 
+        // overlay in MucowAttributes.json may describe an attribute by name alone.
         var hints = [],
             sortFunc = null;
         
@@ -249,9 +489,134 @@ define(function (require, exports) {
             }
         }
         
+        // Labels and tool tips may be keys of the string table
+        if (!hints.length && (attrName === "label" || attrName === "toolTip")) {
+            hints = WidgetModel.getModel(this.editor.document.getText()).stringKeys();
+        }
+        
+        // Colors are offered with a swatch, the palette after those already used
+        if (tagName === "color" && (attrName === "defaultValue" || attrName === "transparentOption")) {
+            hints = this._getColorValues();
+            if (attrName === "transparentOption") {
+                hints.unshift("transparent");
+            }
+        }
+        
         return { hints: hints, sortFunc: sortFunc };
     };
     
+    /**
+     * Returns the colors used by the color parameters of the document,
+     * followed by the rest of the palette
+     *
+     * @return {Array.<string>}
+     */
+    AttrHints.prototype._getColorValues = function () {
+        var colors = [];
+        
+        function add(value) {
+            var rgb = AttributeValues.parseHexColor(value),
+                hex = rgb && AttributeValues.hexColor(rgb);
+            if (hex && colors.indexOf(hex) === -1) {
+                colors.push(hex);
+            }
+        }
+        
+        WidgetModel.getModel(this.editor.document.getText()).parameters.forEach(function (param) {
+            if (param.type === "color") {
+                add(param.defaultValue);
+            }
+        });
+        AttributeValues.PALETTE.forEach(add);
+        
+        return colors;
+    };
+    
+    /**
+     * Shows a color value with a swatch, and with what the <color> parameter
+     * at the cursor outputs for it
+     *
+     * @param {{line: number, ch: number}} cursor
+     * @param {string} value
+     * @return {string|jQueryObject} the value itself if it isn't a color
+     */
+    AttrHints.prototype._formatColorHint = function (cursor, value) {
+        var rgb = AttributeValues.parseHexColor(value),
+            model = WidgetModel.getModel(this.editor.document.getText()),
+            node = model.root && model.root.elementAt(this.editor.indexFromPos(cursor)),
+            output = node && node.name === "color" ? AttributeValues.outputColor(node, value) : value,
+            $hint;
+        
+        if (!rgb) {
+            return value;
+        }
+        
+        $hint = _formatHint(value, output !== value ? "outputs " + output : "", "attr");
+        $("<span>")
+            .addClass("mucow-color-swatch")
+            .css("background-color", AttributeValues.hexColor(rgb))
+            .prependTo($hint);
+        return $hint;
+    };
+    
+    /**
+     * Offers the values of a comma-separated list attribute for the entry
+     * that the cursor is in, leaving out those already listed
+     *
+     * @param {Array.<string>} values - candidates, in the order to offer them
+     * @return {{hints: Array.<string>, match: string, selectInitial: boolean, handleWideResults: boolean}}
+     */
+    AttrHints.prototype._getListEntryHints = function (values) {
+        var token = this.tagInfo.token.string,
+            before = token.substr(0, this.tagInfo.offset).replace(/^["']/, ""),
+            entry = /[^,]*$/.exec(before)[0].replace(/^\s+/, ""),
+            listed = OptionsModel.splitNames(token.replace(/^["']|["']$/g, "")),
+            names = [];
+        
+        values.forEach(function (name) {
+            if (name && names.indexOf(name) === -1 && name.indexOf(entry) === 0 &&
+                    (listed.indexOf(name) === -1 || name === entry)) {
+                names.push(name);
+            }
+        });
+        
+        this.listEntry = entry;
+        
+        return {
+            hints: names,
+            match: entry,
+            selectInitial: true,
+            handleWideResults: false
+        };
+    };
+    
+    /**
+     * Returns the values offered for the comma-separated list attributes:
+     * parameter and section names for disableOptions, extensions for
+     * fileTypes and locale codes for supportedLocales
+     *
+     * @param {string} tagName
+     * @param {string} attrName
+     * @return {?Array.<string>} null for other attributes
+     */
+    AttrHints.prototype._getListValues = function (tagName, attrName) {
+        var model;
+        
+        if (attrName === "disableOptions") {
+            model = WidgetModel.getModel(this.editor.document.getText());
+            return model.parameters.concat(model.sections).map(function (item) {
+                return item.name;
+            }).sort();
+        }
+        if (tagName === "file" && attrName === "fileTypes") {
+            return AttributeValues.FILE_TYPES;
+        }
+        if (tagName === "builtIn" && attrName === "supportedLocales") {
+            return (attributes["locale/name"] || {}).attribOption || [];
+        }
+        return null;
+    };
+    
     /**
      * Helper function that determines if the values of an attribute should be sorted
      * 
@@ -285,7 +650,7 @@ define(function (require, exports) {
      * whether it is appropriate to do so.
      */
     AttrHints.prototype.hasHints = function (editor) {
-        if (editor.getModeForSelection() === "xml") {
+        if (editor.document.getLanguage().getId() === "mucow" && editor.getModeForSelection() === "xml") {
             this.editor = editor;
             this.tagInfo = XMLUtils.getTagInfo(this.editor, this.editor.getCursorPos());
             
@@ -410,8 +775,14 @@ define(function (require, exports) {
             result = [];
  
         this.tagInfo = XMLUtils.getTagInfo(this.editor, cursor);
+        this.listEntry = null;
         
         var tokenType = this.tagInfo.tokenType;
+        
+        var listValues = tokenType === XMLUtils.TOKEN_VALUE && this._getListValues(this.tagInfo.tagName, this.tagInfo.attrName);
+        if (listValues) {
+            return this._getListEntryHints(listValues);
+        }
 
         if (tokenType === XMLUtils.TOKEN_VALUE || tokenType === XMLUtils.TOKEN_ATTR) {
             query.tag = this.tagInfo.tagName;
@@ -456,6 +827,34 @@ define(function (require, exports) {
                     result.sort(sortFunc);
                 }
                 
+                // Attribute names get a description column, and names and values
+                // the declared format doesn't have are greyed out after the others
+                var format = _declaredFormat(this.editor),
+                    minimumFor = function (item) {
+                        return attrName ? FormatVersions.valueMinimum(tagName, attrName, item)
+                                        : FormatVersions.attributeMinimum(tagName, item);
+                    },
+                    isSupported = function (item) {
+                        return format === null || minimumFor(item) <= format;
+                    },
+                    supported = result.filter(isSupported),
+                    unsupported = result.filter(function (item) {
+                        return !isSupported(item);
+                    });
+                
+                if (!attrName) {
+                    supported = supported.map(function (item) {
+                        return _formatHint(item, documentation.attributeSummary(tagName, item), "attr");
+                    });
+                } else if (tagName === "color") {
+                    supported = supported.map(this._formatColorHint.bind(this, cursor));
+                }
+                result = supported.concat(unsupported.map(function (item) {
+                    var description = attrName ? null : documentation.attributeSummary(tagName, item);
+                    return _flagUnsupported(_formatHint(item, description, "attr"),
+                        attrName ? attrName + " '" + item + "'" : "'" + item + "'", minimumFor(item));
+                }));
+                
                 return {
                     hints: result,
                     match: query.queryStr,
@@ -484,7 +883,7 @@ define(function (require, exports) {
     /**
      * Inserts a given attribute hint into the current editor context.
      * 
-     * @param {string} hint 
+     * @param {string|jQueryObject} hint 
      * The hint to be inserted into the editor context.
      * 
      * @return {boolean} 
@@ -502,6 +901,21 @@ define(function (require, exports) {
             replaceExistingOne = this.tagInfo.attrName,
             shouldReplace = true;
 
+        // Attribute names, and values the declared format doesn't have, are
+        // jQuery objects
+        if (typeof completion !== "string") {
+            completion = completion.data("attr");
+        }
+        
+        // Only the current entry of a comma-separated list is replaced
+        if (this.listEntry !== null) {
+            var rest = this.editor.document.getLine(cursor.line).substr(cursor.ch);
+            this.editor.document.replaceRange(completion,
+                {line: cursor.line, ch: cursor.ch - this.listEntry.length},
+                {line: cursor.line, ch: cursor.ch + /^[^,"']*/.exec(rest)[0].replace(/\s+$/, "").length});
+            return false;
+        }
+
         if (tokenType === XMLUtils.TOKEN_VALUE) {
             charCount = this.tagInfo.token.string.length;
             // Append an equal sign and two double quotes if the current attr is not an empty attr
@@ -560,101 +974,227 @@ define(function (require, exports) {
 
 
     /**
-     * Parses the results from xmlLint for errors
-     * @param {!string} errors - newline delimeted string of errors
-     * @returns {Array.{pos: {line: number, ch: number}, message: string}}
-     */    
-    function _parseErrors(errors) {
-        var parts = errors.split("\n"),
-            results = [],
-            current;
-        
-        /*
-         * Errors look like:
-         * "file.xml:line: message\nline-text\n.....^" where (.) is a space and the number of spaces is the column where the error begins
-         * -or-
-         * "file.xml:line: message\n"
-         * -or-
-         * "file.xml fails to validate" // this we just toss
-         */
-        
-        while(parts.length > 0) {
-            var onePart = parts.shift();
-            if (onePart.indexOf(FILE_NAME + DELIMITER) === 0) {
-                if (current) {
-                    results.push(current);
-                }
-
-                var delimOffset = onePart.indexOf(DELIMITER, LINE_NO_OFFSET);
-                
-                current = {
-                    message: onePart.substr(delimOffset + 1).trim(),
-                    pos: {
-                        ch: 0,
-                        line: parseInt(onePart.substring(LINE_NO_OFFSET, delimOffset)) - 1
-                    }
-                };
-            } else if (onePart.trim() === "^") {
-                current.pos.ch = onePart.indexOf("^");
-            }
-        }
-            
-        if (current) {
-            results.push(current);
-        }
+     * Combines the xmllint output with the semantic checks of a document
+     * @param {!string} text - document text that was linted
+     * @param {!string} xmllint - output of xmllint for the text
+     * @returns {{errors: Array.{pos: {line: number, ch: number}, message: string}}}=
+     */
+    function _collectErrors(text, xmllint) {
+        var errors = Validator.collectErrors(text, xmllint, schema, ProjectExtensions.schemaSource());
+        
+        // Kept for the quick fix command
+        lastInspection = { text: text, errors: errors };
         
-        return results;
+        if (errors.length) {
+            return { errors: errors };
+        }
+        return null;
     }
     
     /**
-     * Run xmlLint on the current document and return the results to the caller
+     * Run xmlLint, in a worker, and the semantic checks on the current
+     * document and return the combined results to the caller
      * @param {!string} text - document text to lint
      * @param {!string} fullPath - pathname of the document being linted
-     * @returns {{errors: Array.{pos: {line: number, ch: number}, message: string}}}=
+     * @returns {$.Promise} resolved with {{errors: Array.{pos: {line: number, ch: number}, message: string}}}=
      */
-    function lintOneFile(text/*, fullPath*/) {
-
-        function encodeUtf8(s) {
-            return unescape(encodeURIComponent(s));
+    function lintOneFileAsync(text, fullPath) {
+        return XMLLintService.validate(Validator.encodeUtf8(text), fullPath).then(function (xmllint) {
+            return _collectErrors(text, xmllint);
+        });
+    }
+    
+    /**
+     * Offers the quick fixes for the errors on the cursor line of the
+     * current MuCow document
+     */
+    function showQuickFixes() {
+        var editor = EditorManager.getActiveEditor();
+        
+        if (!editor || editor.document.getLanguage().getId() !== "mucow") {
+            return;
         }
-
         
-        var options = {
-              xml: encodeUtf8(text),
-              schema: MucowSchema,
-              arguments: ["--noout", "--schema", XSD_NAME, FILE_NAME]
-        };
-
-        var xmllint = validateXML(options).trim();
+        var text = editor.document.getText(),
+            inspected;
         
-        if (xmllint !== (FILE_NAME + " validates")) {
-            return { errors: _parseErrors(xmllint) };
+        if (lastInspection && lastInspection.text === text) {
+            inspected = new $.Deferred().resolve().promise();
+        } else {
+            inspected = lintOneFileAsync(text, editor.document.file.fullPath);
         }
-        return null;
+        
+        inspected.done(function () {
+            // Give up if the document changed while it was being linted
+            if (EditorManager.getActiveEditor() !== editor || lastInspection.text !== editor.document.getText()) {
+                return;
+            }
+            
+            var line = editor.getCursorPos().line,
+                labels = {},
+                fixes = [];
+            
+            lastInspection.errors.forEach(function (error) {
+                if (error.pos.line === line && error.fixes) {
+                    // xmllint may report one problem twice
+                    error.fixes.forEach(function (fix) {
+                        if (!labels[fix.label]) {
+                            labels[fix.label] = true;
+                            fixes.push(fix);
+                        }
+                    });
+                }
+            });
+            
+            QuickFixMenu.show(editor, fixes);
+        });
+    }
+    
+    // xmllint runs in a worker, which gets the schema once and keeps it
+    // until the project extends it
+    XMLLintService.init(MucowSchema, Validator.ARGUMENTS);
+    
+    /**
+     * Builds the schema, the hint tables and the documentation from
+     * mucow.xsd and the extensions of the current project
+     */
+    function _loadGrammar() {
+        var schemaText = ProjectExtensions.schemaText(MucowSchema);
+        
+        // Generate the hint tables from the schema used for validation and
+        // layer the UI-only metadata from MucowAttributes.json on top, then
+        // the project's own
+        schema = SchemaModel.parse(schemaText);
+        var tables = SchemaModel.buildHintTables(schema);
+        SchemaModel.applyOverlay(tables, { attributes: JSON.parse(MucowAttributes) });
+        SchemaModel.applyOverlay(tables, ProjectExtensions.overlay());
+        tags = tables.tags;
+        attributes = tables.attributes;
+        documentation = new Documentation(JSON.parse(MucowDocs), schema, attributes);
+        
+        XMLLintService.init(schemaText, Validator.ARGUMENTS);
+        lastInspection = null;
     }
     
     // Register for mucow files for xml linting
     CodeInspection.register("mucow", {
         name: CODE_INSPECTOR_WINDOW_TITLE,
-        scanFile: lintOneFile
+        scanFileAsync: lintOneFileAsync
     });    
 
 
     // Register our app ready handler to setup code hints
     AppInit.appReady(function () {
-        // Parse JSON files
-        tags = JSON.parse(MucowTags);
-        attributes = JSON.parse(MucowAttributes);
+        _loadGrammar();
         
         // Register code hint providers
         var tagHints = new TagHints();
         var attrHints = new AttrHints();
-        CodeHintManager.registerHintProvider(tagHints, ["mucow"], 0);
-        CodeHintManager.registerHintProvider(attrHints, ["mucow"], 0);
+        var paramHints = new ParameterHints();
+        // The widget markup is in the xml language, as the mode reports it
+        CodeHintManager.registerHintProvider(tagHints, ["mucow", "xml"], 0);
+        CodeHintManager.registerHintProvider(attrHints, ["mucow", "xml"], 0);
+        // Content sections are highlighted as HTML or JavaScript, so placeholder
+        // hints have to be offered for those languages as well
+        CodeHintManager.registerHintProvider(paramHints, ["mucow", "html", "javascript"], 1);
+        
+        // Tags, attributes and schemas the project adds to the grammar
+        ProjectExtensions.on("change", function () {
+            _loadGrammar();
+            attrHints.globalAttributes = attrHints.readGlobalAttrHints();
+            DocPopup.setDocumentation(documentation);
+            CodeInspection.requestRun();
+        });
+        ProjectExtensions.init();
+        
+        // End tags for the start tags typed, self-closing the empty elements
+        AutoCloseTags.init(function () {
+            return schema;
+        });
+    
+        ExtensionUtils.loadStyleSheet(module, "styles/mucow.css");
+        
+        // Documentation of the element or attribute under the mouse
+        DocPopup.init(documentation);
+        
+        // Quick fixes, from the Edit menu or by clicking a problem that has some
+        CommandManager.register("MuCow Quick Fix", CMD_QUICK_FIX, showQuickFixes);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(CMD_QUICK_FIX, "Ctrl-Alt-.");
+        $(document).on("click", "#problems-panel tr", function () {
+            // Let the panel move the cursor to the problem first
+            window.setTimeout(showQuickFixes, 0);
+        });
+        
+        // Mock of the Muse Options panel for the <parameters> being edited
+        OptionsPanel.init();
+        var optionsCommand = CommandManager.register("MuCow Options Panel Preview", CMD_OPTIONS_PANEL, function () {
+            OptionsPanel.setVisible(!OptionsPanel.isVisible());
+        });
+        OptionsPanel.on("visibilityChange", function (event, visible) {
+            optionsCommand.setChecked(visible);
+        });
+        Menus.getMenu(Menus.AppMenuBar.VIEW_MENU).addMenuItem(CMD_OPTIONS_PANEL);
+        
+        // The page the widget produces, with the placeholders expanded
+        OutputPreview.init();
+        CommandManager.register("Preview Widget Output", CMD_PREVIEW_OUTPUT, OutputPreview.show);
+        Menus.getMenu(Menus.AppMenuBar.VIEW_MENU).addMenuItem(CMD_PREVIEW_OUTPUT);
+        
+        // Declarations and uses of parameter and section names
+        EditorManager.registerJumpToDefProvider(ParameterNavigation.jumpToDefinition);
+        EditorManager.registerInlineEditProvider(ParameterNavigation.inlineEditProvider);
+        
+        // Color picker for the color values of <color>
+        EditorManager.registerInlineEditProvider(InlineColorPicker.inlineEditProvider);
+        CommandManager.register("Find Parameter Usages", CMD_FIND_USAGES, function () {
+            // The Quick Edit provider lists the usages
+            return CommandManager.execute(Commands.TOGGLE_QUICK_EDIT);
+        });
+        CommandManager.register("Rename Parameter...", CMD_RENAME_PARAMETER, ParameterNavigation.rename);
+        Menus.getMenu(Menus.AppMenuBar.NAVIGATE_MENU).addMenuItem(CMD_FIND_USAGES);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(CMD_RENAME_PARAMETER);
+        
+        // Outline of the widget, in Quick Find Definition and in a panel
+        OutlineQuickOpen.init();
+        OutlinePanel.init();
+        var outlineCommand = CommandManager.register("MuCow Outline", CMD_OUTLINE, function () {
+            OutlinePanel.setVisible(!OutlinePanel.isVisible());
+        });
+        OutlinePanel.on("visibilityChange", function (event, visible) {
+            outlineCommand.setChecked(visible);
+        });
+        Menus.getMenu(Menus.AppMenuBar.VIEW_MENU).addMenuItem(CMD_OUTLINE);
+        
+        // Skeleton of a new widget
+        CommandManager.register("New MuCow Widget...", CMD_NEW_WIDGET, function () {
+            NewWidgetDialog.show((attributes["locale/name"] || {}).attribOption || []);
+        });
+        Menus.getMenu(Menus.AppMenuBar.FILE_MENU).addMenuItem(CMD_NEW_WIDGET, null, Menus.AFTER, Commands.FILE_NEW_UNTITLED);
+        
+        // Package a widget that validates, with its assets, for designers
+        CommandManager.register("Export Widget Library...", CMD_EXPORT_LIBRARY, function () {
+            ExportLibrary.exportActiveWidget(lintOneFileAsync);
+        });
+        Menus.getMenu(Menus.AppMenuBar.FILE_MENU).addMenuItem(CMD_EXPORT_LIBRARY, null, Menus.AFTER, Commands.FILE_SAVE_AS);
+        
+        // Reindent and lay out the attributes, on demand or on save
+        FormatCommand.init();
+        CommandManager.register("Format MuCow", CMD_FORMAT, FormatCommand.formatActiveEditor);
+        Menus.getMenu(Menus.AppMenuBar.EDIT_MENU).addMenuItem(CMD_FORMAT);
+        
+        // Use the copy of acorn that Brackets ships for its JavaScript tooling so
+        // script errors get exact positions. Without it, ScriptLinter falls back
+        // to compiling each block and reports errors at the start of the block.
+        try {
+            ScriptLinter.setParser(ScriptLinter.acornParser(brackets.getModule("thirdparty/acorn/dist/acorn")));
+        } catch (e) {
+            console.warn("MuCow: acorn is not available, script errors will not have exact positions");
+        }
     
         // For unit testing
         exports.tagHintProvider = tagHints;
         exports.attrHintProvider = attrHints;
+        exports.paramHintProvider = paramHints;
     });
 
 });
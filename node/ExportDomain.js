@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+/*global require, exports */
+
+/**
+ * Node domain writing widget library packages. Brackets can only write text
+ * files, so the zip is built and written here.
+ */
+(function () {
+    "use strict";
+
+    var fs          = require("fs"),
+        ZipWriter   = require("./ZipWriter");
+
+    var DOMAIN_NAME = "mucowExport";
+
+    /**
+     * Writes a package
+     * @param {!string} target - full path of the package to write
+     * @param {!Array.<{name: string, text: string=, path: string=}>} entries -
+     *      the files in the package, given as text or as the full path of a
+     *      file to copy
+     * @param {!function(?string, number=)} callback - receives an error
+     *      message, or the number of files written
+     */
+    function writePackage(target, entries, callback) {
+        var files = [],
+            i;
+
+        try {
+            for (i = 0; i < entries.length; i++) {
+                files.push({
+                    name: entries[i].name,
+                    data: entries[i].path ? fs.readFileSync(entries[i].path) : entries[i].text || ""
+                });
+            }
+        } catch (e) {
+            callback(e.message);
+            return;
+        }
+
+        ZipWriter.build(files, null, function (err, zip) {
+            if (err) {
+                callback(err.message);
+                return;
+            }
+            fs.writeFile(target, zip, function (writeErr) {
+                callback(writeErr ? writeErr.message : null, files.length);
+            });
+        });
+    }
+
+    /**
+     * Registers the domain
+     * @param {!DomainManager} domainManager
+     */
+    function init(domainManager) {
+        if (!domainManager.hasDomain(DOMAIN_NAME)) {
+            domainManager.registerDomain(DOMAIN_NAME, { major: 0, minor: 1 });
+        }
+        domainManager.registerCommand(
+            DOMAIN_NAME,
+            "writePackage",
+            writePackage,
+            true,
+            "Writes a widget library package (a zip archive)",
+            [
+                { name: "target", type: "string", description: "full path of the package" },
+                { name: "entries", type: "Array", description: "files to put in the package, [{name, text}] or [{name, path}]" }
+            ],
+            [{ name: "count", type: "number", description: "number of files written" }]
+        );
+    }
+
+    exports.init            = init;
+    exports.writePackage    = writePackage;
+}());
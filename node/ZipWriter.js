@@ -0,0 +1,198 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50, bitwise: true */
+/*global require, exports, Buffer, Uint8Array */
+
+/**
+ * Writes zip archives: each entry is deflated, or stored when that is not
+ * smaller, and the archive ends with the usual central directory.
+ */
+(function () {
+    "use strict";
+
+    var zlib = require("zlib");
+
+    var LOCAL_HEADER        = 0x04034b50,
+        CENTRAL_HEADER      = 0x02014b50,
+        END_OF_DIRECTORY    = 0x06054b50,
+        VERSION             = 20,       // 2.0, deflate
+        FLAG_UTF8           = 0x0800,   // names are UTF-8
+        STORED              = 0,
+        DEFLATED            = 8;
+
+    var _crcTable = null;
+
+    /**
+     * @private
+     * Creates a zero filled buffer, with the API of the Node version at hand
+     */
+    function _alloc(size) {
+        if (Buffer.alloc) {
+            return Buffer.alloc(size);
+        }
+        var buffer = new Buffer(size);
+        buffer.fill(0);
+        return buffer;
+    }
+
+    /**
+     * @private
+     * Encodes a string as UTF-8
+     */
+    function _utf8(text) {
+        return Buffer.from && Buffer.from !== Uint8Array.from ? Buffer.from(text, "utf8") : new Buffer(text, "utf8");
+    }
+
+    /**
+     * @private
+     * Computes the CRC-32 of some data
+     * @param {!Buffer} data
+     * @return {number}
+     */
+    function _crc32(data) {
+        var crc = -1,
+            i,
+            j,
+            c;
+
+        if (!_crcTable) {
+            _crcTable = [];
+            for (i = 0; i < 256; i++) {
+                c = i;
+                for (j = 0; j < 8; j++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                _crcTable[i] = c >>> 0;
+            }
+        }
+        for (i = 0; i < data.length; i++) {
+            crc = _crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ -1) >>> 0;
+    }
+
+    /**
+     * @private
+     * Converts a date to the MS-DOS time and date of a zip entry
+     * @param {!Date} date
+     * @return {{time: number, date: number}}
+     */
+    function _dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Builds a zip archive
+     * @param {!Array.<{name: string, data: (Buffer|string)}>} entries - names
+     *      use "/" separators; strings are written as UTF-8
+     * @param {?Date} date - modification time of the entries, now if null
+     * @param {!function(?Error, Buffer=)} callback - receives the archive
+     */
+    function build(entries, date, callback) {
+        var stamp = _dosDateTime(date || new Date()),
+            locals = [],
+            centrals = [],
+            offset = 0;
+
+        entries = entries.map(function (entry) {
+            return { name: entry.name, data: typeof entry.data === "string" ? _utf8(entry.data) : entry.data };
+        });
+
+        function add(entry, deflated) {
+            var name = _utf8(entry.name),
+                method = deflated.length < entry.data.length ? DEFLATED : STORED,
+                body = method === DEFLATED ? deflated : entry.data,
+                crc = _crc32(entry.data),
+                local = _alloc(30),
+                central = _alloc(46);
+
+            local.writeUInt32LE(LOCAL_HEADER, 0);
+            local.writeUInt16LE(VERSION, 4);
+            local.writeUInt16LE(FLAG_UTF8, 6);
+            local.writeUInt16LE(method, 8);
+            local.writeUInt16LE(stamp.time, 10);
+            local.writeUInt16LE(stamp.date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(body.length, 18);
+            local.writeUInt32LE(entry.data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            central.writeUInt32LE(CENTRAL_HEADER, 0);
+            central.writeUInt16LE(VERSION, 4);
+            central.writeUInt16LE(VERSION, 6);
+            central.writeUInt16LE(FLAG_UTF8, 8);
+            central.writeUInt16LE(method, 10);
+            central.writeUInt16LE(stamp.time, 12);
+            central.writeUInt16LE(stamp.date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(body.length, 20);
+            central.writeUInt32LE(entry.data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            // Extra field, comment, disk and attributes stay 0
+            central.writeUInt32LE(offset, 42);
+
+            locals.push(local, name, body);
+            centrals.push(central, name);
+            offset += local.length + name.length + body.length;
+        }
+
+        function finish() {
+            var directory = Buffer.concat(centrals),
+                end = _alloc(22);
+
+            end.writeUInt32LE(END_OF_DIRECTORY, 0);
+            end.writeUInt16LE(entries.length, 8);
+            end.writeUInt16LE(entries.length, 10);
+            end.writeUInt32LE(directory.length, 12);
+            end.writeUInt32LE(offset, 16);
+
+            callback(null, Buffer.concat(locals.concat([directory, end])));
+        }
+
+        // One entry at a time, in order
+        function next(index) {
+            if (index === entries.length) {
+                finish();
+                return;
+            }
+            zlib.deflateRaw(entries[index].data, function (err, deflated) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                add(entries[index], deflated);
+                next(index + 1);
+            });
+        }
+
+        next(0);
+    }
+
+    exports.build = build;
+}());